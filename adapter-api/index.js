@@ -1,20 +1,278 @@
 const express = require('express');
 const { Pool } = require('pg');
+const jwt = require('jsonwebtoken');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const readline = require('readline');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const { parse: parseCsv } = require('csv-parse');
+const { from: copyFrom, to: copyTo } = require('pg-copy-streams');
+const QueryStream = require('pg-query-stream');
+
+const scrypt = promisify(crypto.scrypt);
 
 const app = express();
 const port = 4000;
 
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body so service request signatures can be checked against the exact bytes that were sent.
+app.use(express.json({
+  limit: '50mb',
+  type: ['application/json', 'application/merge-patch+json'],
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
+
+const TOKEN_SECRET = process.env.TOKEN_SECRET || "default_secret";
+const TOKEN_TTL_SECONDS = parseInt(process.env.TOKEN_TTL_SECONDS, 10) || 900;
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 7 * 24 * 3600;
+
+/**
+ * Issues a signed access token (HS256 JWT) carrying the user's name, role, issue time, expiry and a unique token id.
+ * The token also records the refresh token family (session) it belongs to, so revoking the family revokes it too.
+ */
+const issueToken = (user, familyId) =>
+  jwt.sign({ role: user.role, fid: familyId }, TOKEN_SECRET, {
+    algorithm: 'HS256',
+    subject: user.username,
+    expiresIn: TOKEN_TTL_SECONDS,
+    jwtid: crypto.randomUUID(),
+  });
+
+/**
+ * Verifies a token's signature and expiry and returns its claims, or null if it is not valid.
+ * When a username is given, the token must have been issued to that user.
+ */
+const decodeToken = (token, username) => {
+  try {
+    return jwt.verify(token, TOKEN_SECRET, {
+      algorithms: ['HS256'],
+      ...(username && { subject: username }),
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+const isTokenRevoked = async (claims) => {
+  const result = await pool.query(
+    `SELECT EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $1)
+        OR EXISTS (SELECT 1 FROM token_families WHERE id = $2 AND revoked_at IS NOT NULL) AS revoked;`,
+    [claims.jti, claims.fid || null]
+  );
+  return result.rows[0].revoked;
+};
+
+const PASSWORD_RESET_TTL_SECONDS = parseInt(process.env.PASSWORD_RESET_TTL_SECONDS, 10) || 1800;
+
+// Refresh and password reset tokens are random values; only their SHA-256 is stored.
+const hashOpaqueToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issues an access token plus a new refresh token in the given family (a new family is started when none is given).
+ * Only the hash of the refresh token is stored.
+ */
+const issueTokenPair = async (db, user, familyId) => {
+  if (!familyId) {
+    familyId = crypto.randomUUID();
+    await db.query('INSERT INTO token_families (id, username) VALUES ($1, $2);', [familyId, user.username]);
+  }
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `INSERT INTO refresh_tokens (token_hash, family_id, expires_at) VALUES ($1, $2, NOW() + make_interval(secs => $3));`,
+    [hashOpaqueToken(refreshToken), familyId, REFRESH_TOKEN_TTL_SECONDS]
+  );
+  return {
+    token: issueToken(user, familyId),
+    expiresIn: TOKEN_TTL_SECONDS,
+    refreshToken,
+    refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS,
+  };
+};
+
+// Passwords are stored as "scrypt$N$r$p$salt$hash" with base64 salt and hash.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const PASSWORD_HASH_PREFIX = 'scrypt$';
+
+// Columns that are safe to return to callers; the password hash never leaves this service.
+const USER_COLUMNS = 'id, username, firstname, surname, role, version';
+
+// Items and users carry a version that goes up with every change to their details; it is sent as the ETag, e.g. "3".
+const versionEtag = (version) => `"${version}"`;
+
+// Set REQUIRE_IF_MATCH=true to reject PUT /items/{id} and PUT /users/{id} requests without If-Match (428), and batch
+// item updates without a version.
+const REQUIRE_IF_MATCH = process.env.REQUIRE_IF_MATCH === 'true';
+
+/**
+ * Reads the If-Match header of an update. Returns { status, error } when the request must be rejected up front,
+ * otherwise { versions }: the versions the client's ETags name, or null when any version will do.
+ * ETags are compared strongly, so weak tags (W/"3") never match.
+ */
+const parseIfMatch = (req) => {
+  const ifMatch = req.headers['if-match'];
+  if (!ifMatch) return REQUIRE_IF_MATCH ? { status: 428, error: 'If-Match header is required' } : { versions: null };
+  if (ifMatch.trim() === '*') return { versions: null };
+  const versions = ifMatch
+    .split(',')
+    .map((tag) => /^"(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+  return { versions };
+};
+
+/**
+ * Validates the body of a PUT (partial = false) or a JSON Merge Patch (partial = true) against per-field validators.
+ * A validator returns an error message or null. PUT must send every field except the optional ones and ignores
+ * unknown ones (such as id); a patch may send any subset but no unknown fields, and null means "clear this field".
+ * Returns { error } or { fields } with the fields to write.
+ */
+const validateUpdateBody = (body, validators, partial, optional = []) => {
+  if (body === null || typeof body !== 'object' || Array.isArray(body))
+    return { error: 'Request body must be a JSON object' };
+  const fieldNames = Object.keys(validators);
+  if (partial) {
+    const unknown = Object.keys(body).filter((field) => !validators[field]);
+    if (unknown.length) return { error: `These fields cannot be changed: ${unknown.join(', ')}` };
+  } else {
+    const missing = fieldNames.filter((field) => body[field] === undefined && !optional.includes(field));
+    if (missing.length) return { error: `Missing required fields: ${missing.join(', ')}`, missing };
+  }
+  const fields = {};
+  for (const field of fieldNames.filter((name) => body[name] !== undefined)) {
+    const error = validators[field](body[field]);
+    if (error) return { error };
+    fields[field] = body[field];
+  }
+  if (!Object.keys(fields).length) return { error: `Nothing to update. Allowed fields: ${fieldNames.join(', ')}` };
+  return { fields };
+};
+
+/**
+ * Reads page and limit for OFFSET pagination (page 1 and limit 10 when not given; limit is capped at maxLimit).
+ * Returns { page, limit, offset }, or { error } when either one is not a positive integer.
+ */
+const parsePageParams = (query, maxLimit) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? 10 : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive integer' };
+  if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+  const capped = Math.min(limit, maxLimit);
+  return { page, limit: capped, offset: (page - 1) * capped };
+};
+
+const requiredString = (field, maxLength) => (value) =>
+  typeof value === 'string' && value.trim() && value.length <= maxLength
+    ? null
+    : `${field} must be a non-empty string of at most ${maxLength} characters`;
+
+const USER_FIELD_VALIDATORS = {
+  username: requiredString('username', 100),
+  firstname: requiredString('firstname', 100),
+  surname: requiredString('surname', 100),
+  role: requiredString('role', 50),
+  password: (value) => (typeof value === 'string' && value ? null : 'password must be a non-empty string'),
+};
+
+const isPasswordHash = (stored) => typeof stored === 'string' && stored.startsWith(PASSWORD_HASH_PREFIX);
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(String(password), salt, SCRYPT_KEYLEN, { N, r, p });
+  return `${PASSWORD_HASH_PREFIX}${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  if (!isPasswordHash(stored) || typeof password !== 'string') return false;
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Used to spend the same scrypt effort for unknown usernames as for real ones.
+const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Brute-force protection for /users/validate. Failed attempts are counted per username and per client IP.
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 900;
+const LOGIN_ATTEMPT_WINDOW_SECONDS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS, 10) || 900;
+const LOGIN_DELAY_AFTER_FAILURES = 3;
+const LOGIN_MAX_DELAY_SECONDS = 30;
+
+/**
+ * Checks whether a login attempt is currently allowed for this username and client IP.
+ * Returns null when it is, otherwise { status, error, retryAfter } describing the rejection.
+ * Locked usernames get 423; locked IPs and attempts made before the progressive delay has elapsed get 429.
+ */
+const checkLoginThrottle = async (username, clientIp) => {
+  const result = await pool.query(
+    `SELECT key_type, failures,
+            EXTRACT(EPOCH FROM (locked_until - NOW())) AS lock_remaining,
+            EXTRACT(EPOCH FROM (NOW() - last_failure_at)) AS since_failure
+       FROM login_attempts
+      WHERE (key_type = 'username' AND key = $1) OR (key_type = 'ip' AND key = $2);`,
+    [username, clientIp || null]
+  );
+
+  for (const row of result.rows) {
+    const lockRemaining = parseFloat(row.lock_remaining);
+    if (lockRemaining > 0) {
+      return row.key_type === 'username'
+        ? { status: 423, error: 'Account temporarily locked due to too many failed login attempts', retryAfter: Math.ceil(lockRemaining) }
+        : { status: 429, error: 'Too many failed login attempts from this address', retryAfter: Math.ceil(lockRemaining) };
+    }
+
+    const sinceFailure = parseFloat(row.since_failure);
+    if (row.failures >= LOGIN_DELAY_AFTER_FAILURES && sinceFailure < LOGIN_ATTEMPT_WINDOW_SECONDS) {
+      const delay = Math.min(2 ** (row.failures - LOGIN_DELAY_AFTER_FAILURES), LOGIN_MAX_DELAY_SECONDS);
+      if (sinceFailure < delay)
+        return { status: 429, error: 'Too many failed login attempts, slow down', retryAfter: Math.ceil(delay - sinceFailure) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Counts a failed attempt for the key and locks it once it reaches maxFailures.
+ * The counter starts over when the previous failure is outside the window or a lockout has expired.
+ */
+const recordLoginFailure = async (keyType, key, maxFailures) => {
+  const result = await pool.query(
+    `INSERT INTO login_attempts (key_type, key, failures, last_failure_at)
+     VALUES ($1, $2, 1, NOW())
+     ON CONFLICT (key_type, key) DO UPDATE SET
+       failures = CASE
+         WHEN login_attempts.last_failure_at < NOW() - make_interval(secs => $3) OR login_attempts.locked_until <= NOW() THEN 1
+         ELSE login_attempts.failures + 1
+       END,
+       locked_until = NULL,
+       last_failure_at = NOW()
+     RETURNING failures;`,
+    [keyType, key, LOGIN_ATTEMPT_WINDOW_SECONDS]
+  );
+  if (result.rows[0].failures >= maxFailures) {
+    await pool.query(
+      `UPDATE login_attempts SET locked_until = NOW() + make_interval(secs => $3) WHERE key_type = $1 AND key = $2;`,
+      [keyType, key, LOGIN_LOCKOUT_SECONDS]
+    );
+    console.warn(`Login locked for ${keyType} "${key}" after ${result.rows[0].failures} failed attempts`);
+  }
+};
 
-const generateDynamicToken = (username) => {
-  const currentDate = new Date().toISOString().slice(0, 10);
-  const secret = process.env.TOKEN_SECRET || "default_secret";
-  return crypto.createHash('sha256').update(username + currentDate + secret).digest('hex');
+const recordLoginFailures = async (username, clientIp) => {
+  await recordLoginFailure('username', username, LOGIN_MAX_FAILURES);
+  if (clientIp) await recordLoginFailure('ip', clientIp, LOGIN_MAX_IP_FAILURES);
 };
 
 const pool = new Pool({
@@ -40,6 +298,174 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Per-service keys in the form "name:key,name:key".
+const SERVICE_KEYS = Object.fromEntries(
+  (process.env.SERVICE_KEYS || 'backend-api:default_service_key,management-api:default_service_key')
+    .split(',')
+    .map((entry) => entry.trim().split(':'))
+    .filter(([name, key]) => name && key)
+);
+const SERVICE_SIGNATURE_MAX_AGE_SECONDS = 300;
+// Streamed uploads cannot be hashed before they are sent, so on these routes the signature covers this marker
+// instead of the body hash; the service, timestamp, method and path are still signed. The body is signed after it
+// has been sent, in the X-Service-Body-Signature trailer: HMAC-SHA256 over the request signature and the body's
+// SHA-256. These routes read the body from req.signedBody and must call req.verifySignedBody() before applying it.
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const STREAMED_BODY_ROUTES = new Set(['POST /items/import']);
+const BODY_SIGNATURE_TRAILER = 'x-service-body-signature';
+
+/**
+ * Hashes a streamed request body as the route reads it. Returns the body stream and a verify function that,
+ * once the body has been read to the end, checks the trailer signature and returns true if it matches.
+ */
+const signedBodyStream = (req, key, signature) => {
+  const bodyHash = crypto.createHash('sha256');
+  const body = new Transform({
+    transform(chunk, encoding, callback) {
+      bodyHash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  // An aborted upload destroys the body stream too, so the route fails instead of waiting for more rows.
+  pipeline(req, body).catch(() => {});
+  const verify = () => {
+    const expected = crypto.createHmac('sha256', key).update(`${signature}\n${bodyHash.digest('hex')}`).digest();
+    const provided = Buffer.from(String(req.trailers[BODY_SIGNATURE_TRAILER] || ''), 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  };
+  return { body, verify };
+};
+
+/**
+ * Service authentication middleware.
+ * Every caller must sign its request with its own key; see the X-Service-* headers.
+ * Unsigned, stale or incorrectly signed requests are rejected with 401.
+ */
+app.use((req, res, next) => {
+  const serviceName = req.headers['x-service-name'];
+  const timestamp = req.headers['x-service-timestamp'];
+  const signature = req.headers['x-service-signature'];
+  const key = serviceName && SERVICE_KEYS[serviceName];
+
+  if (!key || !timestamp || !signature) {
+    console.warn(`Rejected unsigned request ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ error: 'Missing or unknown service credentials' });
+  }
+  const issuedAt = parseInt(timestamp, 10);
+  if (isNaN(issuedAt) || Math.abs(Date.now() / 1000 - issuedAt) > SERVICE_SIGNATURE_MAX_AGE_SECONDS) {
+    console.warn(`Rejected stale request from ${serviceName}: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ error: 'Service signature expired' });
+  }
+
+  const streamed = STREAMED_BODY_ROUTES.has(`${req.method} ${req.path}`);
+  const bodyHash = streamed ? UNSIGNED_PAYLOAD : crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  const expected = crypto
+    .createHmac('sha256', key)
+    .update([serviceName, timestamp, req.method, req.originalUrl, bodyHash].join('\n'))
+    .digest();
+  const provided = Buffer.from(String(signature), 'hex');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    console.warn(`Rejected request with invalid signature from ${serviceName}: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ error: 'Invalid service signature' });
+  }
+
+  if (streamed) {
+    const { body, verify } = signedBodyStream(req, key, String(signature));
+    req.signedBody = body;
+    req.verifySignedBody = verify;
+  }
+  req.serviceName = serviceName;
+  // The end user a service acts for (e.g. the admin calling the Management API), used to attribute changes.
+  req.actor = req.headers['x-acting-user'] || serviceName;
+  console.log(`${new Date().toISOString()} - ${serviceName} - ${req.method} ${req.originalUrl}`);
+  next();
+});
+
+// Built-in roles and the permissions they grant. Seeded into the roles/role_permissions tables on startup.
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to the management API',
+    permissions: ['audit:read', 'items:read', 'items:write', 'reviews:moderate', 'roles:assign', 'users:read', 'users:write'],
+  },
+  'catalog-editor': {
+    description: 'Manages the product catalog',
+    permissions: ['items:read', 'items:write', 'reviews:moderate'],
+  },
+  'user-admin': { description: 'Manages user accounts', permissions: ['users:read', 'users:write'] },
+  'support-readonly': {
+    description: 'Read-only access to user accounts and the catalog',
+    permissions: ['items:read', 'users:read'],
+  },
+  user: { description: 'Storefront customer', permissions: [] },
+};
+
+const roleExists = async (role) => {
+  const result = await pool.query('SELECT 1 FROM roles WHERE name = $1;', [role]);
+  return result.rows.length > 0;
+};
+
+// Full-text search document for items: name matches rank above description matches.
+// Queries must use this exact expression so Postgres can use the items_search_idx GIN index.
+const ITEM_SEARCH_VECTOR = `(setweight(to_tsvector('english', name), 'A') || setweight(to_tsvector('english', COALESCE(description, '')), 'B'))`;
+
+// ts_headline marks matches with these control characters rather than <mark> tags, so that the item text
+// (which may contain markup) can be HTML-escaped before the tags are put in.
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+const HIGHLIGHT_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}"`;
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Turns a ts_headline result into safe HTML: the text is escaped and only the matches are wrapped in <mark> tags.
+ */
+const renderHighlight = (headline) =>
+  headline
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+
+/**
+ * SQL for the ids of a category and all of its descendants. paramRef is the placeholder holding the root id, e.g. '$1'.
+ */
+const categorySubtreeSql = (paramRef) => `
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE id = ${paramRef}
+    UNION ALL
+    SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+  )
+  SELECT id FROM subtree`;
+
+/**
+ * Finds or creates each level of a category path such as ['Clothing', 'Pants'] and returns the id of the last one.
+ */
+const ensureCategoryPath = async (db, categoryPath) => {
+  let parentId = null;
+  for (const name of categoryPath) {
+    const existing = await db.query(
+      'SELECT id FROM categories WHERE parent_id IS NOT DISTINCT FROM $1 AND lower(name) = lower($2);',
+      [parentId, name]
+    );
+    parentId = existing.rows.length
+      ? existing.rows[0].id
+      : (await db.query('INSERT INTO categories (name, parent_id) VALUES ($1, $2) RETURNING id;', [name, parentId])).rows[0].id;
+  }
+  return parentId;
+};
+
+/**
+ * Validates a category create/update body. Returns { error } or { name, description, parentId }.
+ */
+const parseCategoryBody = (body) => {
+  const { name, description = null, parentId = null } = body || {};
+  if (typeof name !== 'string' || !name.trim() || name.length > 100)
+    return { error: 'name must be a non-empty string of at most 100 characters' };
+  if (description !== null && typeof description !== 'string')
+    return { error: 'description must be a string' };
+  if (parentId !== null && (!Number.isInteger(parentId) || parentId <= 0))
+    return { error: 'parentId must be a positive integer or null' };
+  return { name: name.trim(), description, parentId };
+};
+
 async function waitForPostgres(retries = 10, delay = 3000) {
   for (let i = 0; i < retries; i++) {
     try {
@@ -63,9 +489,28 @@ async function initializeDatabase() {
         id SERIAL PRIMARY KEY,
         name VARCHAR(100) NOT NULL,
         description TEXT,
-        price NUMERIC(10,2) NOT NULL
+        price NUMERIC(10,2) NOT NULL,
+        stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0)
       );
     `);
+    // Databases created before stock tracking existed: the items already on sale start with INITIAL_ITEM_STOCK
+    // (as a fresh seed does) rather than 0, which would make every add to cart fail; new items start at 0.
+    const stockColumn = await pool.query(
+      `SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'items' AND column_name = 'stock';`
+    );
+    if (!stockColumn.rows.length) {
+      await pool.query(`ALTER TABLE items ADD COLUMN stock INTEGER NOT NULL DEFAULT ${INITIAL_ITEM_STOCK} CHECK (stock >= 0);`);
+      await pool.query('ALTER TABLE items ALTER COLUMN stock SET DEFAULT 0;');
+      console.log(`Added stock tracking; existing items start with ${INITIAL_ITEM_STOCK} units.`);
+    }
+    // Soft delete: deleted rows keep their history and can be restored
+    await pool.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;');
+
+    await pool.query(`CREATE INDEX IF NOT EXISTS items_search_idx ON items USING GIN (${ITEM_SEARCH_VECTOR});`);
+    await pool.query('CREATE INDEX IF NOT EXISTS items_price_id_idx ON items (price, id);');
+    await pool.query('CREATE INDEX IF NOT EXISTS items_name_id_idx ON items (name, id);');
 
     await pool.query(`
       CREATE TABLE IF NOT EXISTS users (
@@ -77,6 +522,233 @@ async function initializeDatabase() {
         password VARCHAR(255) NOT NULL
       );
     `);
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        parent_id INTEGER REFERENCES categories(id)
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS categories_parent_name_idx ON categories (COALESCE(parent_id, 0), lower(name));
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS item_categories (
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        PRIMARY KEY (item_id, category_id)
+      );
+      CREATE INDEX IF NOT EXISTS item_categories_category_idx ON item_categories (category_id);
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS item_images (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        content_type VARCHAR(50) NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        original_name VARCHAR(255),
+        storage_key VARCHAR(255) NOT NULL,
+        thumbnail_key VARCHAR(255) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS item_images_item_idx ON item_images (item_id, position);
+    `);
+
+    // Variants (e.g. size and colour) of an item, each with its own SKU and stock and optionally its own price
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS item_variants (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        sku VARCHAR(64) NOT NULL,
+        attributes JSONB NOT NULL,
+        price_override NUMERIC(10,2),
+        stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS item_variants_sku_idx ON item_variants (lower(sku));
+      CREATE UNIQUE INDEX IF NOT EXISTS item_variants_attributes_idx ON item_variants (item_id, attributes);
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_prices (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        price NUMERIC(10,2) NOT NULL,
+        starts_at TIMESTAMPTZ NOT NULL,
+        ends_at TIMESTAMPTZ,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        previous_price NUMERIC(10,2),
+        created_by VARCHAR(100),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS scheduled_prices_due_idx ON scheduled_prices (status, starts_at);
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_history (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        old_price NUMERIC(10,2) NOT NULL,
+        new_price NUMERIC(10,2) NOT NULL,
+        changed_by VARCHAR(100),
+        changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        source VARCHAR(20) NOT NULL,
+        scheduled_price_id INTEGER REFERENCES scheduled_prices(id) ON DELETE SET NULL
+      );
+      CREATE INDEX IF NOT EXISTS price_history_item_idx ON price_history (item_id, changed_at);
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name VARCHAR(50) PRIMARY KEY,
+        description TEXT
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+        permission VARCHAR(50) NOT NULL,
+        PRIMARY KEY (role, permission)
+      );
+    `);
+
+    for (const [name, { description, permissions }] of Object.entries(DEFAULT_ROLES)) {
+      await pool.query('INSERT INTO roles (name, description) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING;', [name, description]);
+      for (const permission of permissions) {
+        await pool.query(
+          'INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING;',
+          [name, permission]
+        );
+      }
+    }
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti UUID PRIMARY KEY,
+        expires_at TIMESTAMPTZ NOT NULL
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS token_families (
+        id UUID PRIMARY KEY,
+        username VARCHAR(100) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        revoked_at TIMESTAMPTZ
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        token_hash CHAR(64) PRIMARY KEY,
+        family_id UUID NOT NULL REFERENCES token_families(id) ON DELETE CASCADE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        key_type VARCHAR(10) NOT NULL,
+        key VARCHAR(255) NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failure_at TIMESTAMPTZ NOT NULL,
+        locked_until TIMESTAMPTZ,
+        PRIMARY KEY (key_type, key)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        actor VARCHAR(100) NOT NULL,
+        method VARCHAR(10) NOT NULL,
+        route VARCHAR(255) NOT NULL,
+        entity VARCHAR(50),
+        target_id INTEGER,
+        before JSONB,
+        after JSONB,
+        changes JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS audit_log_target_idx ON audit_log (entity, target_id);
+      CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor);
+      CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ
+      );
+    `);
+
+    // Background jobs (see BACKGROUND JOBS below). params holds the submitted work, output_oid the large object
+    // holding a produced file.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(30) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        params JSONB NOT NULL,
+        total INTEGER NOT NULL DEFAULT 0,
+        processed INTEGER NOT NULL DEFAULT 0,
+        succeeded INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        errors JSONB NOT NULL DEFAULT '[]',
+        error TEXT,
+        output_oid OID,
+        output_type VARCHAR(50),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by VARCHAR(100),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        heartbeat_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status, id);
+    `);
+
+    // Paid orders, recorded by the Backend API after payment; used for the "verified purchase" badge on reviews.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS purchases (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        variant_id INTEGER REFERENCES item_variants(id) ON DELETE SET NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        paid_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS purchases_user_item_idx ON purchases (user_id, item_id);
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        text TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'published',
+        moderated_by VARCHAR(100),
+        moderated_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (item_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS reviews_item_idx ON reviews (item_id, created_at);
+      CREATE INDEX IF NOT EXISTS reviews_status_idx ON reviews (status, created_at);
+    `);
 
     const itemResult = await pool.query('SELECT COUNT(*) FROM items;');
     const itemCount = parseInt(itemResult.rows[0].count, 10);
@@ -88,6 +760,7 @@ async function initializeDatabase() {
 
       const insertValues = [];
       const params = [];
+      const validItems = [];
       let paramIndex = 1;
       for (const item of items) {
         if (!item.name || item.price === undefined) {
@@ -96,14 +769,49 @@ async function initializeDatabase() {
         }
         insertValues.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
         params.push(item.name, item.description || '', parseFloat(item.price));
+        validItems.push(item);
       }
 
       if (insertValues.length > 0) {
         const insertQuery = `
           INSERT INTO items (name, description, price)
-          VALUES ${insertValues.join(', ')};
+          VALUES ${insertValues.join(', ')}
+          RETURNING id;
         `;
-        await pool.query(insertQuery, params);
+        const inserted = await pool.query(insertQuery, params);
+
+        // Link each item to the category at the end of its categoryPath, e.g. ["Clothing", "Pants"].
+        const categoryIds = new Map();
+        const links = [];
+        for (const [index, row] of inserted.rows.entries()) {
+          const { categoryPath } = validItems[index];
+          if (!Array.isArray(categoryPath) || !categoryPath.length) continue;
+          const key = categoryPath.join('/');
+          if (!categoryIds.has(key)) categoryIds.set(key, await ensureCategoryPath(pool, categoryPath));
+          links.push([row.id, categoryIds.get(key)]);
+        }
+        for (let start = 0; start < links.length; start += 10000) {
+          const chunk = links.slice(start, start + 10000);
+          await pool.query(
+            `INSERT INTO item_categories (item_id, category_id)
+             VALUES ${chunk.map((link, i) => `($${i * 2 + 1}, $${i * 2 + 2})`).join(', ')};`,
+            chunk.flat()
+          );
+        }
+        await pool.query('UPDATE items SET stock = $1;', [INITIAL_ITEM_STOCK]);
+
+        // Items with variants (e.g. clothing in several sizes) get the same initial stock per variant.
+        const variants = inserted.rows.flatMap((row, index) =>
+          seedItemVariants(validItems[index]).map((variant) => [row.id, variant.sku, JSON.stringify(variant.attributes)])
+        );
+        for (let start = 0; start < variants.length; start += 10000) {
+          const chunk = variants.slice(start, start + 10000);
+          await pool.query(
+            `INSERT INTO item_variants (item_id, sku, attributes, stock)
+             VALUES ${chunk.map((variant, i) => `($${i * 3 + 1}, $${i * 3 + 2}, $${i * 3 + 3}, $${chunk.length * 3 + 1})`).join(', ')};`,
+            [...chunk.flat(), INITIAL_ITEM_STOCK]
+          );
+        }
         console.log('Seeding complete.');
       } else {
         console.log('No valid items found in store_catalog.json.');
@@ -144,17 +852,36 @@ async function initializeDatabase() {
           ('xedwards2222', 'Xander', 'Edwards', 'user', 'xedwards@2222');
       `);
     }
+
+    await upgradePlaintextPasswords();
   } catch (error) {
     console.error('Error initializing database:', error);
   }
 }
 
+/**
+ * Replaces any plaintext passwords left in the users table (seed data or rows written
+ * before hashing was introduced) with scrypt hashes. Rows that are already hashed are skipped.
+ */
+async function upgradePlaintextPasswords() {
+  const result = await pool.query('SELECT id, password FROM users WHERE password NOT LIKE $1;', [`${PASSWORD_HASH_PREFIX}%`]);
+  if (!result.rows.length) return;
+
+  console.log(`Hashing ${result.rows.length} plaintext password(s)...`);
+  for (const row of result.rows) {
+    await pool.query('UPDATE users SET password = $1 WHERE id = $2;', [await hashPassword(row.password), row.id]);
+  }
+  console.log('Password upgrade complete.');
+}
+
 /**
  * @swagger
  * /verify-token:
  *   post:
  *     summary: Verify if the token is correct.
- *     description: Verifies the provided token and returns a boolean value.
+ *     description: |
+ *       Checks the token's signature and expiry, that it was issued to the given user
+ *       and that it has not been revoked. Returns a boolean value and, for valid tokens, the token's claims.
  *     requestBody:
  *       required: true
  *       content:
@@ -176,173 +903,4494 @@ async function initializeDatabase() {
  *               properties:
  *                 valid:
  *                   type: boolean
+ *                 role:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
  *       400:
  *         description: Bad request. Missing or invalid fields.
+ *       500:
+ *         description: Internal Server Error.
  */
-app.post('/verify-token', (req, res) => {
+app.post('/verify-token', async (req, res) => {
   const { username, token } = req.body;
   if (!username || !token) {
     return res.status(400).json({ error: 'Username and token are required' });
   }
 
-  const generatedToken = generateDynamicToken(username);
-  const isValid = token === generatedToken;
-  res.json({ valid: isValid });
+  try {
+    const claims = decodeToken(token, username);
+    if (!claims || await isTokenRevoked(claims)) return res.json({ valid: false });
+    res.json({ valid: true, role: claims.role, expiresAt: new Date(claims.exp * 1000).toISOString() });
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
 });
 
 /**
  * @swagger
- * /items:
- *   get:
- *     summary: Retrieve a paginated list of items.
+ * /tokens/revoke:
+ *   post:
+ *     summary: Revoke a token.
  *     description: |
- *       Retrieve items with paging.
- *       Accepts optional query parameters:
- *         - page (default: 1)
- *         - limit (default: 10, max: 1000)
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *         description: The page number.
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         description: The number of items per page.
+ *       Adds the token to the denylist so that /verify-token rejects it until it expires.
+ *       The refresh token family the token belongs to is revoked as well, ending the session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
  *     responses:
  *       200:
- *         description: A paginated list of items.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 items:
- *                   type: array
- *                 page:
- *                   type: integer
- *                 limit:
- *                   type: integer
- *                 total:
- *                   type: integer
+ *         description: Token revoked.
+ *       400:
+ *         description: Missing or invalid token.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/tokens/revoke', async (req, res) => {
+  const { token } = req.body;
+  const claims = token && decodeToken(token);
+  if (!claims) return res.status(400).json({ error: 'A valid token is required' });
+
+  try {
+    await pool.query(
+      'INSERT INTO revoked_tokens (jti, expires_at) VALUES ($1, to_timestamp($2)) ON CONFLICT (jti) DO NOTHING;',
+      [claims.jti, claims.exp]
+    );
+    if (claims.fid)
+      await pool.query('UPDATE token_families SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL;', [claims.fid]);
+    await pool.query('DELETE FROM revoked_tokens WHERE expires_at < NOW();');
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /tokens/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair.
+ *     description: |
+ *       Refresh tokens rotate: each one can be used once and is replaced by a new one in the same family.
+ *       Presenting a refresh token that has already been used revokes the whole family, including
+ *       every access token issued from it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A new access token and refresh token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshExpiresIn:
+ *                   type: integer
+ *       400:
+ *         description: Refresh token missing.
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/tokens/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken || typeof refreshToken !== 'string')
+    return res.status(400).json({ error: 'Refresh token is required' });
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const result = await client.query(
+      `SELECT rt.family_id, rt.used_at, rt.expires_at < NOW() AS expired, tf.revoked_at, u.username, u.role
+         FROM refresh_tokens rt
+         JOIN token_families tf ON tf.id = rt.family_id
+         LEFT JOIN users u ON u.username = tf.username AND u.deleted_at IS NULL
+        WHERE rt.token_hash = $1
+        FOR UPDATE OF rt, tf;`,
+      [hashOpaqueToken(refreshToken)]
+    );
+    const row = result.rows[0];
+
+    if (row && row.used_at && !row.revoked_at) {
+      await client.query('UPDATE token_families SET revoked_at = NOW() WHERE id = $1;', [row.family_id]);
+      await client.query('COMMIT');
+      console.warn(`Refresh token reuse detected, revoked token family ${row.family_id}`);
+      return res.status(401).json({ error: 'Refresh token reuse detected, session revoked' });
+    }
+    if (!row || row.used_at || row.revoked_at || row.expired || !row.username) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE token_hash = $1;', [hashOpaqueToken(refreshToken)]);
+    const tokens = await issueTokenPair(client, row, row.family_id);
+    await client.query('COMMIT');
+    res.json(tokens);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Stock given to every seeded item (items created later start at 0 unless a stock is given).
+const INITIAL_ITEM_STOCK = parseInt(process.env.INITIAL_ITEM_STOCK, 10) || 100;
+
+// Sizes seeded clothing and shoes come in, and the colours (with their SKU codes) two of which each item gets,
+// as in the catalog data generator.
+const SEED_VARIANT_SIZES = { Clothing: ['S', 'M', 'L', 'XL'], Shoes: ['39', '40', '41', '42', '43', '44'] };
+const SEED_VARIANT_COLOURS = { Black: 'BLK', White: 'WHT', Navy: 'NVY', Grey: 'GRY', Red: 'RED', Green: 'GRN', Beige: 'BGE' };
+
+/**
+ * The variants to seed for a store_catalog.json item: the ones it lists, or else, for clothing and shoes (the
+ * department at the top of its categoryPath), every size in two colours chosen by its id, with SKUs such as
+ * "PANTS-00005-NVY-M". The colours depend on the id alone, so every fresh database gets the same variants.
+ */
+const seedItemVariants = (item) => {
+  if (Array.isArray(item.variants)) return item.variants;
+  const [department, product] = Array.isArray(item.categoryPath) ? item.categoryPath : [];
+  const sizes = SEED_VARIANT_SIZES[department];
+  if (!sizes || !product || !Number.isInteger(item.id)) return [];
+  const colours = Object.keys(SEED_VARIANT_COLOURS);
+  // The second colour is 1 to 6 places after the first, so the two always differ.
+  const first = item.id % colours.length;
+  const second = (first + 1 + (Math.floor(item.id / colours.length) % (colours.length - 1))) % colours.length;
+  return [colours[first], colours[second]].flatMap((colour) =>
+    sizes.map((size) => ({
+      sku: [product.toUpperCase(), String(item.id).padStart(5, '0'), SEED_VARIANT_COLOURS[colour], size].join('-'),
+      attributes: { size, colour },
+    }))
+  );
+};
+
+const isStockValue = (value) => Number.isInteger(value) && value >= 0;
+
+const ITEM_IMAGE_COLUMNS = `id, item_id AS "itemId", position, content_type AS "contentType", size_bytes AS "size",
+  width, height, original_name AS "originalName", storage_key AS "storageKey", thumbnail_key AS "thumbnailKey",
+  created_at AS "createdAt"`;
+
+/**
+ * Adds an images array (ordered by position) to each item, using one query for the whole list.
+ */
+const attachItemImages = async (items) => {
+  if (!items.length) return items;
+  const result = await pool.query(
+    `SELECT ${ITEM_IMAGE_COLUMNS} FROM item_images WHERE item_id = ANY($1::int[]) ORDER BY item_id, position;`,
+    [items.map((item) => item.id)]
+  );
+  for (const item of items) item.images = result.rows.filter((image) => image.itemId === item.id);
+  return items;
+};
+
+/**
+ * Records a price change in price_history. Call inside the transaction that changed the price.
+ * @param {string} source - 'manual', 'import', 'schedule-start', 'schedule-end' or 'schedule-cancel'.
+ */
+const recordPriceChange = (db, itemId, oldPrice, newPrice, changedBy, source, scheduledPriceId = null) =>
+  db.query(
+    `INSERT INTO price_history (item_id, old_price, new_price, changed_by, source, scheduled_price_id)
+     VALUES ($1, $2, $3, $4, $5, $6);`,
+    [itemId, oldPrice, newPrice, changedBy, source, scheduledPriceId]
+  );
+
+const SCHEDULED_PRICE_COLUMNS = `id, item_id AS "itemId", price, starts_at AS "startsAt", ends_at AS "endsAt", status,
+  previous_price AS "previousPrice", created_by AS "createdBy", created_at AS "createdAt"`;
+
+const ITEM_FIELD_VALIDATORS = {
+  name: requiredString('name', 100),
+  description: (value) => (value === null || typeof value === 'string' ? null : 'description must be a string or null'),
+  price: (value) =>
+    (typeof value === 'number' || (typeof value === 'string' && value.trim())) && Number(value) > 0 && Number(value) < 1e8
+      ? null
+      : 'price must be a positive number',
+};
+
+/**
+ * Validates an item to create: name and price are required, description and stock (default 0) are optional.
+ * Returns an error message or null.
+ */
+const validateNewItem = (item) => {
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) return 'must be an object';
+  for (const field of ['name', 'price']) {
+    if (item[field] === undefined) return `${field} is required`;
+  }
+  for (const field of ['name', 'description', 'price']) {
+    const error = item[field] !== undefined && ITEM_FIELD_VALIDATORS[field](item[field]);
+    if (error) return error;
+  }
+  if (item.stock !== undefined && !isStockValue(item.stock)) return 'stock must be a non-negative integer';
+  return null;
+};
+
+// A variant's price is its price override, or the item's price when it has none.
+const ITEM_VARIANT_COLUMNS = `v.id, v.item_id AS "itemId", v.sku, v.attributes, v.price_override AS "priceOverride",
+  COALESCE(v.price_override, i.price) AS price, v.stock, v.created_at AS "createdAt"`;
+
+// Selects variants (from item_variants or a CTE with the same columns) as "v", joined to their item as "i".
+const selectItemVariants = (source, where) =>
+  `SELECT ${ITEM_VARIANT_COLUMNS} FROM ${source} v JOIN items i ON i.id = v.item_id WHERE ${where} ORDER BY v.id;`;
+
+const VARIANT_FIELD_COLUMNS = { sku: 'sku', attributes: 'attributes', priceOverride: 'price_override', stock: 'stock' };
+
+const VARIANT_FIELD_VALIDATORS = {
+  sku: (value) =>
+    typeof value === 'string' && /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(value)
+      ? null
+      : 'sku must be 1 to 64 letters, digits, dots, dashes or underscores',
+  attributes: (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length &&
+    Object.keys(value).length <= 20 &&
+    Object.entries(value).every(
+      ([name, text]) => name.trim() && name.length <= 50 && typeof text === 'string' && text.trim() && text.length <= 100
+    )
+      ? null
+      : 'attributes must map 1 to 20 names to non-empty strings of at most 100 characters, e.g. {"size": "M", "colour": "Navy"}',
+  priceOverride: (value) =>
+    value === null || ITEM_FIELD_VALIDATORS.price(value) === null ? null : 'priceOverride must be a positive number or null',
+  stock: (value) => (isStockValue(value) ? null : 'stock must be a non-negative integer'),
+};
+
+// Unique indexes on item_variants and the 409 message for each.
+const VARIANT_CONFLICTS = {
+  item_variants_sku_idx: 'SKU already exists',
+  item_variants_attributes_idx: 'The item already has a variant with these attributes',
+};
+
+// Review statuses: new reviews are published right away; moderators approve them or hide them from customers.
+const REVIEW_STATUSES = ['published', 'approved', 'hidden'];
+
+// Reviews show the author's first name and surname initial, never the username.
+const REVIEW_COLUMNS = `r.id, r.item_id AS "itemId", r.rating, r.text, u.firstname || ' ' || LEFT(u.surname, 1) || '.' AS author,
+  EXISTS (SELECT 1 FROM purchases p WHERE p.user_id = r.user_id AND p.item_id = r.item_id) AS "verifiedPurchase",
+  r.created_at AS "createdAt"`;
+
+// Moderators also see who wrote the review and how it was moderated.
+const REVIEW_MODERATION_COLUMNS = `${REVIEW_COLUMNS}, u.username, r.status, r.moderated_by AS "moderatedBy",
+  r.moderated_at AS "moderatedAt"`;
+
+/**
+ * Adds averageRating (null without reviews) and reviewCount to each item, counting only reviews that are not hidden.
+ */
+const attachItemRatings = async (items) => {
+  if (!items.length) return items;
+  const result = await pool.query(
+    `SELECT item_id AS "itemId", ROUND(AVG(rating), 2)::float AS "averageRating", COUNT(*)::int AS "reviewCount"
+       FROM reviews WHERE item_id = ANY($1::int[]) AND status <> 'hidden' GROUP BY item_id;`,
+    [items.map((item) => item.id)]
+  );
+  const ratings = new Map(result.rows.map((row) => [row.itemId, row]));
+  for (const item of items) {
+    const rating = ratings.get(item.id);
+    item.averageRating = rating ? rating.averageRating : null;
+    item.reviewCount = rating ? rating.reviewCount : 0;
+  }
+  return items;
+};
+
+/**
+ * Adds a variants array (in creation order) to each item, using one query for the whole list.
+ */
+const attachItemVariants = async (items) => {
+  if (!items.length) return items;
+  const result = await pool.query(selectItemVariants('item_variants', 'v.item_id = ANY($1::int[])'), [items.map((item) => item.id)]);
+  for (const item of items) item.variants = result.rows.filter((variant) => variant.itemId === item.id);
+  return items;
+};
+
+/**
+ * Updates one item inside the caller's transaction: locks the row, checks it against the expected versions
+ * (from If-Match; null skips the check), writes the fields, bumps the version and records a price change.
+ * Returns { item, before } or { status, error } (404, also for a deleted item, or 412 together with the current version).
+ */
+const updateItemRow = async (db, id, fields, actor, versions) => {
+  const current = await db.query('SELECT * FROM items WHERE id = $1 AND deleted_at IS NULL FOR UPDATE;', [id]);
+  if (!current.rows.length) return { status: 404, error: 'Item not found' };
+  const { price: oldPrice, version } = current.rows[0];
+  if (versions && !versions.includes(version))
+    return { status: 412, error: 'Item has been changed since it was read; fetch it again and retry', version };
+  const names = Object.keys(fields);
+  const assignments = names.map((field, index) => `${field} = $${index + 1}`);
+  const result = await db.query(
+    `UPDATE items SET ${assignments.join(', ')}, version = version + 1 WHERE id = $${names.length + 1} RETURNING *;`,
+    [...names.map((field) => fields[field]), id]
+  );
+  if (result.rows[0].price !== oldPrice)
+    await recordPriceChange(db, id, oldPrice, result.rows[0].price, actor, 'manual');
+  return { item: result.rows[0], before: current.rows[0] };
+};
+
+/**
+ * Soft-deletes one item. Returns { status: 200, before, item } with the row before and after,
+ * or { status, error } (404, or 409 when it is already deleted).
+ */
+const deleteItemRow = async (db, id) => {
+  const result = await db.query(
+    'UPDATE items SET deleted_at = NOW(), version = version + 1 WHERE id = $1 AND deleted_at IS NULL RETURNING *;',
+    [id]
+  );
+  if (result.rows.length) {
+    const item = result.rows[0];
+    return { status: 200, before: { ...item, deleted_at: null, version: item.version - 1 }, item };
+  }
+  const existing = await db.query('SELECT 1 FROM items WHERE id = $1;', [id]);
+  return existing.rows.length ? { status: 409, error: 'Item is already deleted' } : { status: 404, error: 'Item not found' };
+};
+
+/**
+ * Reads ?mode= for the /items/batch operations: "atomic" (default, all or nothing) or "partial". Returns null if unknown.
+ */
+const parseBatchMode = (query) => {
+  const { mode = 'atomic' } = query;
+  return ['atomic', 'partial'].includes(mode) ? mode : null;
+};
+
+/**
+ * Writes an audit record inside the caller's transaction, for item changes that are made in bulk here (batches and
+ * background jobs), so every item gets its own record with the same { field: { from, to } } diff the Management API
+ * records for single changes. origin is { actor, method, route }.
+ */
+const recordItemAudit = (db, origin, id, before, after) =>
+  db.query(
+    `INSERT INTO audit_log (actor, method, route, entity, target_id, before, after, changes)
+     SELECT $1, $2, $3, 'items', $4, COALESCE($5::jsonb, 'null'), COALESCE($6::jsonb, 'null'),
+            (SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('from', COALESCE(b.value, 'null'), 'to', COALESCE(a.value, 'null'))), '{}')
+               FROM jsonb_each(COALESCE($5::jsonb, '{}')) b
+               FULL JOIN jsonb_each(COALESCE($6::jsonb, '{}')) a USING (key)
+              WHERE b.value IS DISTINCT FROM a.value);`,
+    [origin.actor, origin.method, origin.route, id, before && JSON.stringify(before), after && JSON.stringify(after)]
+  );
+
+/**
+ * Runs operation(client, entry) for every entry of a batch inside the caller's transaction. The operation resolves
+ * to { status, ... }, where a status of 400 or more is a failure; Postgres data errors (such as a value that is too
+ * long) and constraint violations become a 400 for that entry. A successful operation may also return
+ * audit: { before, after }, which is recorded per item with origin ({ actor, method, route }) and left out of the
+ * results. In partial mode every entry has its own savepoint, so a failed entry is rolled back on its own, audit
+ * record included. In atomic mode it stops at the first failure, which the caller must roll back.
+ * Returns { results, succeeded, failed } with { index, status, ... } per entry, or { failure } in atomic mode.
+ */
+const applyBatchEntries = async (client, entries, partial, operation, origin) => {
+  const results = [];
+  for (const [index, entry] of entries.entries()) {
+    if (partial) await client.query('SAVEPOINT batch_entry;');
+    let result;
+    try {
+      result = await operation(client, entry);
+    } catch (error) {
+      if (!/^2[23]/.test(error.code || '')) throw error;
+      result = { status: 400, error: error.message };
+    }
+    if (result.status >= 400 && !partial) return { failure: { index, ...result } };
+    const { audit, ...outcome } = result;
+    if (audit && outcome.status < 400) await recordItemAudit(client, origin, outcome.id, audit.before, audit.after);
+    if (partial)
+      await client.query(outcome.status >= 400 ? 'ROLLBACK TO SAVEPOINT batch_entry;' : 'RELEASE SAVEPOINT batch_entry;');
+    results.push({ index, ...outcome });
+  }
+  const failed = results.filter((result) => result.status >= 400).length;
+  return { results, succeeded: results.length - failed, failed };
+};
+
+// Batch changes are audited here, per item, as made by the acting user through this route.
+const auditOrigin = (req) => ({ actor: req.actor, method: req.method, route: req.route.path });
+
+/**
+ * Applies a whole batch in one transaction (see applyBatchEntries), rolling it back if an atomic batch fails.
+ */
+const runItemBatch = async (entries, partial, operation, origin) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const outcome = await applyBatchEntries(client, entries, partial, operation, origin);
+    await client.query(outcome.failure ? 'ROLLBACK' : 'COMMIT');
+    return outcome;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Batch entry operations, shared by /items/batch and background jobs. Each returns { status, ... } for one entry.
+ */
+const createItemEntry = async (client, item) => {
+  const error = validateNewItem(item);
+  if (error) return { status: 400, error };
+  const { name, description = '', price, stock = 0 } = item;
+  const result = await client.query(
+    'INSERT INTO items (name, description, price, stock) VALUES ($1, $2, $3, $4) RETURNING *;',
+    [name, description, price, stock]
+  );
+  const created = result.rows[0];
+  return { status: 201, id: created.id, item: created, audit: { before: null, after: created } };
+};
+
+// Updates are attributed to the acting user in the price history. An entry's version plays the part of If-Match,
+// so with REQUIRE_IF_MATCH=true an entry without one is rejected (428) like a PUT without If-Match.
+const updateItemEntry = (actor) => async (client, entry) => {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) return { status: 400, error: 'must be an object' };
+  const { id, version, ...patch } = entry;
+  if (!Number.isInteger(id) || id <= 0) return { status: 400, error: 'id must be a positive integer' };
+  if (version !== undefined && !Number.isInteger(version)) return { status: 400, id, error: 'version must be an integer' };
+  if (version === undefined && REQUIRE_IF_MATCH) return { status: 428, id, error: 'version is required' };
+  const update = validateUpdateBody(patch, ITEM_FIELD_VALIDATORS, true);
+  if (update.error) return { status: 400, id, error: update.error };
+  const result = await updateItemRow(client, id, update.fields, actor, version === undefined ? null : [version]);
+  if (!result.item) return { id, ...result };
+  return { status: 200, id, item: result.item, audit: { before: result.before, after: result.item } };
+};
+
+const deleteItemEntry = async (client, id) => {
+  if (!Number.isInteger(id) || id <= 0) return { status: 400, id, error: 'id must be a positive integer' };
+  const { before, item, ...result } = await deleteItemRow(client, id);
+  return { id, ...result, ...(item && { audit: { before, after: item } }) };
+};
+
+/**
+ * Sends the outcome of an /items/batch operation: 207 Multi-Status with every result in partial mode, 200 with the
+ * results in atomic mode, or the failing entry's status and error when an atomic batch was rolled back.
+ */
+const sendBatchOutcome = (res, outcome, partial) => {
+  const { failure } = outcome;
+  if (failure)
+    return res.status(failure.status).json({ error: `Item at index ${failure.index}: ${failure.error}`, index: failure.index });
+  res.status(partial ? 207 : 200).json(outcome);
+};
+
+// Catalog import/export: request content types by format, and how many row errors an import report lists.
+const IMPORT_CONTENT_TYPES = { 'text/csv': 'csv', 'application/x-ndjson': 'ndjson' };
+const EXPORT_CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson' };
+const MAX_IMPORT_ERRORS = 1000;
+// Separates category levels in a CSV categoryPath cell, e.g. "Clothing > Pants".
+const CATEGORY_PATH_SEPARATOR = ' > ';
+
+/**
+ * Reads catalog rows from a CSV (with a header line) or NDJSON body stream without buffering the whole body.
+ * Yields { row, record } per data row, numbered from 1, or { row, error } for an NDJSON line that is not valid JSON.
+ * A CSV without name and price columns, or one that cannot be parsed, throws an error whose code starts with CSV_.
+ */
+async function* readImportRows(body, format) {
+  let row = 0;
+  if (format === 'csv') {
+    const parser = body.pipe(parseCsv({
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      columns: (header) => {
+        const missing = ['name', 'price'].filter((column) => !header.includes(column));
+        if (missing.length)
+          throw Object.assign(new Error(`Missing required columns: ${missing.join(', ')}`), { code: 'CSV_MISSING_COLUMNS' });
+        return header;
+      },
+    }));
+    for await (const record of parser) yield { row: ++row, record };
+    return;
+  }
+  for await (const line of readline.createInterface({ input: body, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      yield { row: ++row, error: 'Row is not valid JSON' };
+      continue;
+    }
+    yield { row: ++row, record };
+  }
+}
+
+/**
+ * Validates one imported row. CSV cells are strings, so numbers are parsed here and empty cells count as not given;
+ * categoryPath is an array of names or a "Clothing > Pants" string. Unknown columns are ignored.
+ * Returns { errors } or { values } in item_import column order (id, name, description, price, stock, category_path).
+ */
+const parseImportRecord = (record) => {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) return { errors: ['Row must be a JSON object'] };
+  const given = (field) => (record[field] === '' || record[field] === null ? undefined : record[field]);
+  const toInteger = (value) => (typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  const errors = [];
+
+  const id = toInteger(given('id'));
+  if (id !== undefined && !(Number.isInteger(id) && id > 0)) errors.push('id must be a positive integer');
+  for (const field of ['name', 'price']) {
+    if (given(field) === undefined) errors.push(`${field} is required`);
+    else if (ITEM_FIELD_VALIDATORS[field](record[field])) errors.push(ITEM_FIELD_VALIDATORS[field](record[field]));
+  }
+  const description = given('description');
+  if (description !== undefined && ITEM_FIELD_VALIDATORS.description(description)) errors.push(ITEM_FIELD_VALIDATORS.description(description));
+  const stock = toInteger(given('stock'));
+  if (stock !== undefined && !isStockValue(stock)) errors.push('stock must be a non-negative integer');
+  let categoryPath = given('categoryPath');
+  if (typeof categoryPath === 'string') categoryPath = categoryPath.split(CATEGORY_PATH_SEPARATOR.trim()).map((name) => name.trim());
+  if (
+    categoryPath !== undefined &&
+    !(Array.isArray(categoryPath) && categoryPath.length && categoryPath.every((name) => typeof name === 'string' && name.trim() && name.length <= 100))
+  )
+    errors.push('categoryPath must list one or more category names of at most 100 characters');
+
+  if (errors.length) return { errors };
+  return {
+    values: [id, record.name.trim(), description, record.price, stock, categoryPath && JSON.stringify(categoryPath.map((name) => name.trim()))],
+  };
+};
+
+// Escapes a value for COPY's text format, where \N is NULL and tabs and newlines separate columns and rows.
+const copyTextValue = (value) =>
+  value === null || value === undefined
+    ? '\\N'
+    : String(value).replace(/[\\\t\n\r]/g, (char) => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[char]);
+
+/**
+ * Streams the catalog export into destination: a writable stream such as a response, or an async function that
+ * consumes the chunks. Used by GET /items/export and by export jobs.
+ */
+const exportCatalog = (client, format, destination) => {
+  if (format === 'csv') {
+    const sql = catalogExportSql(`array_to_string(p.path, '${CATEGORY_PATH_SEPARATOR}')`);
+    return pipeline(client.query(copyTo(`COPY (${sql}) TO STDOUT WITH (FORMAT csv, HEADER);`)), destination);
+  }
+  return pipeline(
+    client.query(new QueryStream(catalogExportSql('p.path'))),
+    async function* (rows) {
+      for await (const row of rows) yield `${JSON.stringify(row)}\n`;
+    },
+    destination
+  );
+};
+
+/**
+ * SQL for exporting the catalog: every item that is not deleted, in id order, with the full path of its first category.
+ * pathExpression turns the path (a text[] named path) into the exported value.
+ */
+const catalogExportSql = (pathExpression) => `
+  WITH RECURSIVE category_paths AS (
+    SELECT id, ARRAY[name::text] AS path FROM categories WHERE parent_id IS NULL
+    UNION ALL
+    SELECT c.id, p.path || c.name::text FROM categories c JOIN category_paths p ON c.parent_id = p.id
+  )
+  SELECT i.id, i.name, i.description, i.price, i.stock, ${pathExpression} AS "categoryPath"
+    FROM items i
+    LEFT JOIN LATERAL (
+      SELECT category_id FROM item_categories WHERE item_id = i.id ORDER BY category_id LIMIT 1
+    ) first_category ON true
+    LEFT JOIN category_paths p ON p.id = first_category.category_id
+   WHERE i.deleted_at IS NULL
+   ORDER BY i.id`;
+
+// Columns /items may be sorted by, mapped to their SQL column.
+const ITEM_SORT_COLUMNS = { id: 'id', name: 'name', price: 'price' };
+
+/**
+ * Parses the filter and sort query parameters of GET /items.
+ * Returns { error } for invalid values, otherwise { conditions, params, sort, order } where
+ * conditions are SQL snippets referencing params by position.
+ */
+const parseItemListQuery = (query) => {
+  const { minPrice, maxPrice, nameContains, category, includeDeleted, sort = 'id', order = 'asc' } = query;
+  const conditions = [];
+  const params = [];
+
+  const prices = {};
+  for (const [name, value] of [['minPrice', minPrice], ['maxPrice', maxPrice]]) {
+    if (value === undefined) continue;
+    const price = Number(value);
+    if (value === '' || !Number.isFinite(price) || price < 0)
+      return { error: `${name} must be a non-negative number` };
+    prices[name] = price;
+  }
+  if (prices.minPrice !== undefined && prices.maxPrice !== undefined && prices.minPrice > prices.maxPrice)
+    return { error: 'minPrice must not be greater than maxPrice' };
+  if (prices.minPrice !== undefined) conditions.push(`price >= $${params.push(prices.minPrice)}`);
+  if (prices.maxPrice !== undefined) conditions.push(`price <= $${params.push(prices.maxPrice)}`);
+
+  if (nameContains !== undefined) {
+    if (typeof nameContains !== 'string' || !nameContains)
+      return { error: 'nameContains must be a non-empty string' };
+    const pattern = `%${nameContains.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+    conditions.push(`name ILIKE $${params.push(pattern)}`);
+  }
+
+  if (category !== undefined) {
+    if (typeof category !== 'string' || !/^[1-9]\d*$/.test(category))
+      return { error: 'category must be a positive integer' };
+    const paramRef = `$${params.push(parseInt(category, 10))}`;
+    conditions.push(`id IN (SELECT item_id FROM item_categories WHERE category_id IN (${categorySubtreeSql(paramRef)}))`);
+  }
+
+  if (includeDeleted !== 'true') conditions.push('deleted_at IS NULL');
+
+  if (typeof sort !== 'string' || !ITEM_SORT_COLUMNS[sort])
+    return { error: `sort must be one of: ${Object.keys(ITEM_SORT_COLUMNS).join(', ')}` };
+  if (typeof order !== 'string' || !['asc', 'desc'].includes(order.toLowerCase()))
+    return { error: 'order must be one of: asc, desc' };
+
+  return { conditions, params, sort: ITEM_SORT_COLUMNS[sort], order: order.toUpperCase() };
+};
+
+const ITEM_COUNT_CACHE_SECONDS = 30;
+const itemCountCache = new Map();
+
+/**
+ * Counts the items matching a filter, caching the result briefly so cursor-mode clients
+ * that ask for a total on every page do not run COUNT(*) over the whole table each time.
+ */
+const countItems = async (where, params) => {
+  const key = JSON.stringify([where, params]);
+  const cached = itemCountCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.total;
+
+  const result = await pool.query(`SELECT COUNT(*) FROM items ${where}`, params);
+  const total = parseInt(result.rows[0].count, 10);
+  if (itemCountCache.size >= 1000) itemCountCache.clear();
+  itemCountCache.set(key, { total, expiresAt: Date.now() + ITEM_COUNT_CACHE_SECONDS * 1000 });
+  return total;
+};
+
+/**
+ * Cursors are opaque to clients: base64url JSON holding the sort field and direction they were issued for,
+ * the paging direction ('next' or 'prev') and the sort value and id of the boundary row.
+ */
+const encodeItemCursor = (sort, order, direction, row) =>
+  Buffer.from(JSON.stringify({ s: sort, o: order, d: direction, v: row[sort], id: row.id })).toString('base64url');
+
+// What a cursor's sort value must look like for each sort field; it is bound as a parameter next to that column.
+const MAX_ITEM_ID = 2147483647;
+const isItemId = (value) => Number.isInteger(value) && Math.abs(value) <= MAX_ITEM_ID;
+const ITEM_CURSOR_VALUE_CHECKS = {
+  id: isItemId,
+  name: (value) => typeof value === 'string',
+  price: (value) => typeof value === 'string' && /^-?\d{1,10}(\.\d{1,2})?$/.test(value),
+};
+
+/**
+ * Decodes a cursor, or returns null if it is not one this service issued: anything but an object with a known sort,
+ * order and direction, an integer id and a sort value of the right type is rejected before it can reach SQL.
+ */
+const decodeItemCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) return null;
+    const { s: sort, o: order, d: direction, v: value, id } = decoded;
+    if (!Object.prototype.hasOwnProperty.call(ITEM_CURSOR_VALUE_CHECKS, sort) || !['ASC', 'DESC'].includes(order)) return null;
+    if (!['next', 'prev'].includes(direction) || !isItemId(id) || !ITEM_CURSOR_VALUE_CHECKS[sort](value)) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Keyset pagination: instead of OFFSET, each page starts after (or, for 'prev', before) the boundary row in the cursor.
+ */
+const listItemsByCursor = async ({ conditions, params, sort, order }, cursor, limit) => {
+  const backward = Boolean(cursor) && cursor.d === 'prev';
+  const keyset = [...conditions];
+  const keysetParams = [...params];
+  if (cursor) {
+    const op = (order === 'ASC') !== backward ? '>' : '<';
+    keyset.push(sort === 'id'
+      ? `id ${op} $${keysetParams.push(cursor.id)}`
+      : `(${sort}, id) ${op} ($${keysetParams.push(cursor.v)}, $${keysetParams.push(cursor.id)})`);
+  }
+  const queryOrder = backward ? (order === 'ASC' ? 'DESC' : 'ASC') : order;
+  const where = keyset.length ? `WHERE ${keyset.join(' AND ')}` : '';
+  const orderBy = sort === 'id' ? `id ${queryOrder}` : `${sort} ${queryOrder}, id ${queryOrder}`;
+
+  const result = await pool.query(
+    `SELECT * FROM items ${where} ORDER BY ${orderBy} LIMIT $${keysetParams.length + 1}`,
+    [...keysetParams, limit + 1]
+  );
+  const hasMore = result.rows.length > limit;
+  const items = result.rows.slice(0, limit);
+  if (backward) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const next = last && (backward || hasMore) ? encodeItemCursor(sort, order, 'next', last) : null;
+  const prev = first && (backward ? hasMore : Boolean(cursor)) ? encodeItemCursor(sort, order, 'prev', first) : null;
+  return { items, next, prev };
+};
+
+/**
+ * @swagger
+ * /items:
+ *   get:
+ *     summary: Retrieve a paginated list of items.
+ *     description: |
+ *       Retrieve items with paging, filtering and sorting.
+ *       Accepts optional query parameters:
+ *         - page (default: 1)
+ *         - limit (default: 10, max: 1000)
+ *         - minPrice, maxPrice (inclusive price range)
+ *         - nameContains (case-insensitive substring of the name)
+ *         - category (category id; items in its subcategories are included)
+ *         - includeDeleted (true to include soft-deleted items; for admin tools)
+ *         - sort (id, name or price; default: id)
+ *         - order (asc or desc; default: asc)
+ *
+ *       Two pagination modes are supported:
+ *         - page/limit (default): returns page and total; deep pages get slower because they use OFFSET.
+ *         - cursor: start with pagination=cursor, then pass the returned next or prev cursor.
+ *           Returns next and prev (null at either end); set includeTotal=true to also get a total,
+ *           which is cached for a few seconds.
+ *
+ *       Every item includes its images and its customer rating: averageRating (null when it has no
+ *       reviews) and reviewCount, leaving out reviews hidden by moderators.
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: The page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of items per page (default 10, max 1000).
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Only items costing at least this much.
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Only items costing at most this much.
+ *       - in: query
+ *         name: nameContains
+ *         schema:
+ *           type: string
+ *         description: Only items whose name contains this text (case-insensitive).
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: integer
+ *         description: Only items in this category or any of its subcategories.
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also return soft-deleted items (they have a deleted_at time).
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, name, price]
+ *         description: The field to sort by.
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: The sort direction.
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *         description: Pagination mode (default page). Implied to be cursor when a cursor is given.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: An opaque next or prev cursor from a previous cursor-mode response.
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: In cursor mode, also return the (cached) total number of matching items.
+ *     responses:
+ *       200:
+ *         description: A paginated list of items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                 page:
+ *                   type: integer
+ *                   description: Page mode only.
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                   description: Always in page mode; in cursor mode only with includeTotal=true.
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor mode only. Cursor for the following page.
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor mode only. Cursor for the preceding page.
+ *       400:
+ *         description: Invalid filter, sort, cursor, page or limit parameter (page and limit must be positive integers).
  *       500:
  *         description: Internal Server Error.
  */
 app.get('/items', async (req, res) => {
   try {
-    let { page, limit } = req.query;
-    page = parseInt(page) || 1;
-    limit = parseInt(limit);
-    limit = isNaN(limit) ? 10 : Math.min(limit, 1000);
-    const offset = (page - 1) * limit;
+    const { pagination, cursor, includeTotal } = req.query;
+    const paging = parsePageParams(req.query, 1000);
+    if (paging.error) return res.status(400).json({ error: paging.error });
+    const { page, limit, offset } = paging;
+
+    const listQuery = parseItemListQuery(req.query);
+    if (listQuery.error) return res.status(400).json({ error: listQuery.error });
+    const { conditions, params, sort, order } = listQuery;
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    if (cursor !== undefined || pagination === 'cursor') {
+      const decoded = cursor ? decodeItemCursor(cursor) : null;
+      if (cursor && !decoded) return res.status(400).json({ error: 'Invalid cursor' });
+      if (decoded && (decoded.s !== sort || decoded.o !== order))
+        return res.status(400).json({ error: 'Cursor was issued for a different sort or order' });
+
+      const { items, next, prev } = await listItemsByCursor(listQuery, decoded, limit);
+      await attachItemImages(items);
+      await attachItemRatings(items);
+      const response = { items, limit, next, prev };
+      if (includeTotal === 'true') response.total = await countItems(where, params);
+      return res.json(response);
+    }
+
+    const orderBy = sort === 'id' ? `id ${order}` : `${sort} ${order}, id ${order}`;
+    const totalResult = await pool.query(`SELECT COUNT(*) FROM items ${where}`, params);
+    const total = parseInt(totalResult.rows[0].count, 10);
+    const result = await pool.query(
+      `SELECT * FROM items ${where} ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    await attachItemImages(result.rows);
+    await attachItemRatings(result.rows);
+    res.json({ items: result.rows, page, limit, total });
+  } catch (error) {
+    console.error('Error fetching paginated items:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/search:
+ *   get:
+ *     summary: Full-text search over item names and descriptions.
+ *     description: |
+ *       Uses Postgres full-text search (English). The query accepts web-search syntax:
+ *       plain words, "quoted phrases", OR and -excluded words. Results are ranked, with name matches
+ *       weighted above description matches, and include highlighted snippets: HTML-escaped item text with
+ *       the matches wrapped in <mark> tags, safe to render as HTML.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The search query.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: The page number.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of items per page (default 10, max 1000).
+ *     responses:
+ *       200:
+ *         description: A paginated, ranked list of matching items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       price:
+ *                         type: string
+ *                       rank:
+ *                         type: number
+ *                       averageRating:
+ *                         type: number
+ *                         nullable: true
+ *                       reviewCount:
+ *                         type: integer
+ *                       highlights:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Search query missing, or page or limit is not a positive integer.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items/search', async (req, res) => {
+  try {
+    const { q } = req.query;
+    if (typeof q !== 'string' || !q.trim()) return res.status(400).json({ error: 'Search query "q" is required' });
+    const paging = parsePageParams(req.query, 1000);
+    if (paging.error) return res.status(400).json({ error: paging.error });
+    const { page, limit, offset } = paging;
+
+    const totalResult = await pool.query(
+      `SELECT COUNT(*) FROM items WHERE ${ITEM_SEARCH_VECTOR} @@ websearch_to_tsquery('english', $1) AND deleted_at IS NULL;`,
+      [q]
+    );
+    const total = parseInt(totalResult.rows[0].count, 10);
+    const result = await pool.query(
+      `SELECT id, name, description, price, stock, rank,
+              ts_headline('english', name, query, $4::text || ', HighlightAll=true') AS name_highlight,
+              ts_headline('english', COALESCE(description, ''), query, $4::text || ', MaxWords=25, MinWords=10') AS description_highlight
+         FROM (
+           SELECT items.*, query, ts_rank(${ITEM_SEARCH_VECTOR}, query) AS rank
+             FROM items, websearch_to_tsquery('english', $1) AS query
+            WHERE ${ITEM_SEARCH_VECTOR} @@ query AND deleted_at IS NULL
+            ORDER BY rank DESC, id
+            LIMIT $2 OFFSET $3
+         ) AS matches
+        ORDER BY rank DESC, id;`,
+      [q, limit, offset, HIGHLIGHT_OPTIONS]
+    );
+
+    const items = result.rows.map(({ name_highlight, description_highlight, ...item }) => ({
+      ...item,
+      highlights: { name: renderHighlight(name_highlight), description: renderHighlight(description_highlight) },
+    }));
+    await attachItemRatings(items);
+    res.json({ items, page, limit, total });
+  } catch (error) {
+    console.error('Error searching items:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BatchResults:
+ *       type: object
+ *       description: Outcome of a batch, with one result per entry in request order.
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Position of the entry in the request.
+ *               status:
+ *                 type: integer
+ *                 description: HTTP status for this entry, e.g. 201, 200, 400, 404, 409, 412 or 428.
+ *               id:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *                 description: Validation or database error, for failed entries.
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /items/batch:
+ *   post:
+ *     summary: Create multiple items at once.
+ *     description: |
+ *       Accepts an array of item objects. Each must include "name" and "price"; "description" and "stock" (default 0) are optional.
+ *       In atomic mode one invalid entry rolls back the whole batch; in partial mode the valid entries are created
+ *       and a 207 response reports the created id or the error for every index.
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [atomic, partial]
+ *           default: atomic
+ *         description: atomic applies all entries or none; partial applies every entry it can and reports each one.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required:
+ *                 - name
+ *                 - price
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                 price:
+ *                   type: number
+ *                 stock:
+ *                   type: integer
+ *                   minimum: 0
+ *     responses:
+ *       201:
+ *         description: Items created successfully (atomic mode); the created items.
+ *       207:
+ *         description: Partial mode. Each result is { index, status 201, id } or { index, status 400, error }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       400:
+ *         description: Invalid input data; in atomic mode the error names the first failing index and nothing is created.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/items/batch', async (req, res) => {
+  if (!Array.isArray(req.body)) {
+    return res.status(400).json({ error: "Expected an array of items." });
+  }
+  const mode = parseBatchMode(req.query);
+  if (!mode) return res.status(400).json({ error: 'mode must be atomic or partial' });
+
+  try {
+    const insertedItems = [];
+    const outcome = await runItemBatch(req.body, mode === 'partial', async (client, entry) => {
+      const { item, ...result } = await createItemEntry(client, entry);
+      if (item) insertedItems.push(item);
+      return result;
+    }, auditOrigin(req));
+    if (mode === 'atomic' && !outcome.failure) return res.status(201).json(insertedItems);
+    sendBatchOutcome(res, outcome, mode === 'partial');
+  } catch (error) {
+    console.error("Error during batch insert:", error);
+    return res.status(500).json({ error: "Internal Server Error during batch insert" });
+  }
+});
+
+/**
+ * @swagger
+ * /items/batch:
+ *   patch:
+ *     summary: Update multiple items at once.
+ *     description: |
+ *       Each entry holds an item id, optionally the version it was read at, and the fields to change with JSON Merge
+ *       Patch semantics (as in PATCH /items/{id}). Price changes are recorded in the price history. With
+ *       REQUIRE_IF_MATCH=true the version is required and an entry without one fails with 428.
+ *       In atomic mode one failing entry rolls back the whole batch; in partial mode every entry is applied on its own.
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [atomic, partial]
+ *           default: atomic
+ *         description: atomic applies all entries or none; partial applies every entry it can and reports each one.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required:
+ *                 - id
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 version:
+ *                   type: integer
+ *                   description: Only update the item if it still has this version (412 otherwise). Required when REQUIRE_IF_MATCH=true.
+ *                 name:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                   nullable: true
+ *                 price:
+ *                   type: number
+ *     responses:
+ *       200:
+ *         description: All items updated (atomic mode). Each result is { index, status 200, id, item }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       207:
+ *         description: Partial mode. Each result is { index, status 200, id, item } or { index, status 400/404/412/428, id, error }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       400:
+ *         description: Not an array, or (atomic mode) an entry is invalid; the error names the first failing index.
+ *       404:
+ *         description: Atomic mode; an item was not found and nothing was updated.
+ *       412:
+ *         description: Atomic mode; an item no longer has the given version and nothing was updated.
+ *       428:
+ *         description: Atomic mode; an entry has no version while REQUIRE_IF_MATCH is on, and nothing was updated.
+ */
+app.patch('/items/batch', async (req, res) => {
+  if (!Array.isArray(req.body)) return res.status(400).json({ error: 'Expected an array of item updates.' });
+  const mode = parseBatchMode(req.query);
+  if (!mode) return res.status(400).json({ error: 'mode must be atomic or partial' });
+
+  try {
+    const outcome = await runItemBatch(req.body, mode === 'partial', updateItemEntry(req.actor), auditOrigin(req));
+    sendBatchOutcome(res, outcome, mode === 'partial');
+  } catch (error) {
+    console.error('Error during batch update:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/batch:
+ *   delete:
+ *     summary: Delete multiple items at once.
+ *     description: |
+ *       Soft-deletes the items (as DELETE /items/{id}). In atomic mode one failing id rolls back the whole batch;
+ *       in partial mode every id is deleted on its own.
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [atomic, partial]
+ *           default: atomic
+ *         description: atomic applies all entries or none; partial applies every entry it can and reports each one.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: All items deleted (atomic mode). Each result is { index, status 200, id }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       207:
+ *         description: Partial mode. Each result is { index, status 200, id } or { index, status 400/404/409, id, error }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       400:
+ *         description: ids is not an array, or (atomic mode) an id is invalid.
+ *       404:
+ *         description: Atomic mode; an item was not found and nothing was deleted.
+ *       409:
+ *         description: Atomic mode; an item was already deleted and nothing was deleted.
+ */
+app.delete('/items/batch', async (req, res) => {
+  const { ids } = req.body || {};
+  if (!Array.isArray(ids)) return res.status(400).json({ error: 'ids must be an array of item ids' });
+  const mode = parseBatchMode(req.query);
+  if (!mode) return res.status(400).json({ error: 'mode must be atomic or partial' });
+
+  try {
+    const outcome = await runItemBatch(ids, mode === 'partial', deleteItemEntry, auditOrigin(req));
+    sendBatchOutcome(res, outcome, mode === 'partial');
+  } catch (error) {
+    console.error('Error during batch delete:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/export:
+ *   get:
+ *     summary: Export the catalog as CSV or NDJSON.
+ *     description: |
+ *       Streams every item that is not deleted, in id order, with the columns id, name, description, price, stock
+ *       and categoryPath (the item's first category, e.g. "Clothing > Pants" in CSV or ["Clothing", "Pants"] in NDJSON).
+ *       The output can be edited and imported again with POST /items/import.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The catalog, streamed.
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Unknown format.
+ */
+app.get('/items/export', async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!EXPORT_CONTENT_TYPES[format]) return res.status(400).json({ error: 'format must be csv or ndjson' });
+
+  let client;
+  try {
+    client = await pool.connect();
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="catalog.${format}"`);
+    await exportCatalog(client, format, res);
+  } catch (error) {
+    console.error('Error exporting items:', error);
+    // Once rows have been sent the status can no longer change, so cut the response short instead.
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /items/import:
+ *   post:
+ *     summary: Import items from a CSV or NDJSON stream.
+ *     description: |
+ *       The body is streamed, validated row by row and loaded with COPY into a staging table, then applied in one
+ *       transaction. Columns: name and price are required; id, description, stock and categoryPath are optional,
+ *       unknown columns are ignored, and empty CSV cells count as not given. A row whose id matches an existing item
+ *       updates it (fields that are not given keep their value); other rows create new items (stock 0 unless given).
+ *       A categoryPath ("Clothing > Pants" or ["Clothing", "Pants"]) replaces the item's categories, creating missing ones.
+ *       If any row is invalid nothing is imported. With dryRun=true the whole import runs and is rolled back.
+ *       Price changes are recorded in the price history with source "import".
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report what would happen without changing anything.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             name,description,price,stock,categoryPath
+ *             Rustic Wooden Chair,Solid oak,129.00,12,Home > Chair
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"name": "Rustic Wooden Chair", "price": "129.00", "categoryPath": ["Home", "Chair"]}
+ *     responses:
+ *       200:
+ *         description: |
+ *           Import report: { dryRun, rows, created, updated, errorCount, errors }. errors lists up to 1000 rows as
+ *           { row, errors } (row 1 is the first data row); a dry run may report errors and still answer 200.
+ *       400:
+ *         description: Some rows are invalid (the report lists them) and nothing was imported, or the CSV cannot be parsed.
+ *       401:
+ *         description: The X-Service-Body-Signature trailer is missing or does not match the body; nothing was imported.
+ *       415:
+ *         description: The body is not text/csv or application/x-ndjson.
+ */
+app.post('/items/import', async (req, res) => {
+  const format = IMPORT_CONTENT_TYPES[(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase()];
+  if (!format) return res.status(415).json({ error: 'Send the catalog as text/csv or application/x-ndjson' });
+  const dryRun = req.query.dryRun === 'true';
+
+  const report = { dryRun, rows: 0, created: 0, updated: 0, errorCount: 0, errors: [] };
+  const addError = (row, errors) => {
+    report.errorCount++;
+    if (report.errors.length < MAX_IMPORT_ERRORS) report.errors.push({ row, errors });
+  };
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await client.query(`
+      CREATE TEMP TABLE item_import (
+        row_number INTEGER NOT NULL,
+        id INTEGER,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        price NUMERIC(10,2) NOT NULL,
+        stock INTEGER,
+        category_path JSONB,
+        item_id INTEGER,
+        category_id INTEGER
+      ) ON COMMIT DROP;
+    `);
+
+    // Valid rows go straight into the staging table; invalid ones only end up in the report.
+    async function* stagedRows() {
+      for await (const { row, record, error } of readImportRows(req.signedBody, format)) {
+        report.rows++;
+        const parsed = error ? { errors: [error] } : parseImportRecord(record);
+        if (parsed.errors) addError(row, parsed.errors);
+        else yield `${[row, ...parsed.values].map(copyTextValue).join('\t')}\n`;
+      }
+    }
+    await pipeline(
+      Readable.from(stagedRows()),
+      client.query(copyFrom('COPY item_import (row_number, id, name, description, price, stock, category_path) FROM STDIN;'))
+    );
+    if (!req.verifySignedBody()) {
+      console.warn(`Rejected import from ${req.serviceName} with an invalid body signature`);
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid body signature' });
+    }
+
+    const conflicts = await client.query(`
+      SELECT row_number, message FROM (
+        SELECT s.row_number, format('id %s appears more than once; first on row %s', s.id,
+                 first_value(s.row_number) OVER (PARTITION BY s.id ORDER BY s.row_number)) AS message,
+               row_number() OVER (PARTITION BY s.id ORDER BY s.row_number) AS occurrence
+          FROM item_import s WHERE s.id IS NOT NULL
+      ) duplicates WHERE occurrence > 1
+      UNION ALL
+      SELECT s.row_number, format('item %s is deleted; restore it before importing it', s.id)
+        FROM item_import s JOIN items i ON i.id = s.id WHERE i.deleted_at IS NOT NULL
+      ORDER BY row_number;
+    `);
+    for (const { row_number: row, message } of conflicts.rows) addError(row, [message]);
+    report.errors.sort((a, b) => a.row - b.row);
+
+    if (report.errorCount) {
+      await client.query('ROLLBACK');
+      if (dryRun) return res.json(report);
+      return res.status(400).json({ error: `${report.errorCount} rows have errors; nothing was imported`, ...report });
+    }
+
+    // Rows for existing items update them; every other row gets a new id from the items sequence.
+    await client.query('UPDATE item_import s SET item_id = s.id FROM items i WHERE i.id = s.id;');
+    const counts = await client.query(
+      'SELECT COUNT(item_id) AS updated, COUNT(*) - COUNT(item_id) AS created FROM item_import;'
+    );
+    report.updated = parseInt(counts.rows[0].updated, 10);
+    report.created = parseInt(counts.rows[0].created, 10);
+    await client.query(`UPDATE item_import SET item_id = nextval(pg_get_serial_sequence('items', 'id')) WHERE item_id IS NULL;`);
+
+    await client.query(
+      `INSERT INTO price_history (item_id, old_price, new_price, changed_by, source)
+       SELECT i.id, i.price, s.price, $1, 'import' FROM item_import s JOIN items i ON i.id = s.item_id WHERE i.price <> s.price;`,
+      [req.actor]
+    );
+    await client.query(`
+      UPDATE items i
+         SET name = s.name, description = COALESCE(s.description, i.description), price = s.price,
+             stock = COALESCE(s.stock, i.stock), version = i.version + 1
+        FROM item_import s
+       WHERE i.id = s.item_id;
+    `);
+    await client.query(`
+      INSERT INTO items (id, name, description, price, stock)
+      SELECT item_id, name, description, price, COALESCE(stock, 0) FROM item_import s
+       WHERE NOT EXISTS (SELECT 1 FROM items i WHERE i.id = s.item_id)
+       ORDER BY row_number;
+    `);
+
+    const paths = await client.query('SELECT DISTINCT category_path FROM item_import WHERE category_path IS NOT NULL;');
+    for (const { category_path: categoryPath } of paths.rows) {
+      const categoryId = await ensureCategoryPath(client, categoryPath);
+      await client.query('UPDATE item_import SET category_id = $1 WHERE category_path = $2::jsonb;', [
+        categoryId,
+        JSON.stringify(categoryPath),
+      ]);
+    }
+    await client.query(`
+      DELETE FROM item_categories WHERE item_id IN (SELECT item_id FROM item_import WHERE category_id IS NOT NULL);
+      INSERT INTO item_categories (item_id, category_id)
+      SELECT item_id, category_id FROM item_import WHERE category_id IS NOT NULL;
+    `);
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    res.json(report);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    if (typeof error.code === 'string' && error.code.startsWith('CSV_'))
+      return res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+    console.error('Error importing items:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   get:
+ *     summary: Retrieve an item by ID.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also return the item if it has been soft-deleted.
+ *     responses:
+ *       200:
+ *         description: |
+ *           An item, including its images, its variants, its rating (averageRating and reviewCount)
+ *           and the categories it is linked to.
+ *           The ETag header holds its version.
+ *       404:
+ *         description: Item not found (or deleted).
+ */
+app.get('/items/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT * FROM items WHERE id = $1 ${req.query.includeDeleted === 'true' ? '' : 'AND deleted_at IS NULL'};`,
+      [id]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Item not found' });
+    const categories = await pool.query(
+      `SELECT c.id, c.name, c.parent_id AS "parentId"
+         FROM item_categories ic JOIN categories c ON c.id = ic.category_id
+        WHERE ic.item_id = $1 ORDER BY c.id;`,
+      [id]
+    );
+    const [item] = await attachItemImages(result.rows);
+    await attachItemVariants(result.rows);
+    await attachItemRatings(result.rows);
+    res.set('ETag', versionEtag(item.version));
+    res.json({ ...item, categories: categories.rows });
+  } catch (error) {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items:
+ *   post:
+ *     summary: Create a new item.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Units available (default 0).
+ *     responses:
+ *       201:
+ *         description: Item created.
+ *       400:
+ *         description: Invalid stock value.
+ */
+app.post('/items', async (req, res) => {
+  try {
+    const { name, description, price, stock = 0 } = req.body;
+    if (!isStockValue(stock)) return res.status(400).json({ error: 'stock must be a non-negative integer' });
+    const result = await pool.query(
+      'INSERT INTO items (name, description, price, stock) VALUES ($1, $2, $3, $4) RETURNING *;',
+      [name, description, price, stock]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * Writes validated item fields (from PUT or PATCH) after checking If-Match, bumps the version and records
+ * any price change, then sends the updated item.
+ */
+const updateItem = async (req, res, fields) => {
+  const ifMatch = parseIfMatch(req);
+  if (ifMatch.error) return res.status(ifMatch.status).json({ error: ifMatch.error });
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const result = await updateItemRow(client, req.params.id, fields, req.actor, ifMatch.versions);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      if (result.version === undefined) return res.status(result.status).json({ error: result.error });
+      res.set('ETag', versionEtag(result.version));
+      return res.status(result.status).json({ error: result.error, version: result.version });
+    }
+    await client.query('COMMIT');
+    res.set('ETag', versionEtag(result.item.version));
+    res.json(result.item);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error updating item:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   put:
+ *     summary: Update an existing item.
+ *     description: |
+ *       Replaces the item: name, description and price are all required (use PATCH to change only some of them).
+ *       Stock is not changed here; use PUT /items/{id}/stock. A price change is recorded in the item's
+ *       price history, attributed to the X-Acting-User header (or the calling service).
+ *       Send the ETag from GET /items/{id} in If-Match to make sure nobody changed the item in the meantime.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag from a previous read, e.g. "3". Required when REQUIRE_IF_MATCH=true.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Item updated. The ETag header holds the new version.
+ *       400:
+ *         description: A field is missing (listed in "missing") or invalid.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       412:
+ *         description: If-Match does not match the current version; the ETag header holds the current one.
+ *       428:
+ *         description: If-Match is missing and REQUIRE_IF_MATCH is on.
+ */
+app.put('/items/:id', async (req, res) => {
+  const update = validateUpdateBody(req.body, ITEM_FIELD_VALIDATORS, false);
+  if (update.error) return res.status(400).json({ error: update.error, ...(update.missing && { missing: update.missing }) });
+  await updateItem(req, res, update.fields);
+});
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   patch:
+ *     summary: Partially update an item.
+ *     description: |
+ *       JSON Merge Patch (RFC 7396): only the fields sent are changed, and null clears a field
+ *       (only description may be cleared). Price changes are recorded in the price history.
+ *       Send the ETag from GET /items/{id} in If-Match to make sure nobody changed the item in the meantime.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag from a previous read, e.g. "3". Required when REQUIRE_IF_MATCH=true.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               price:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Item updated. The ETag header holds the new version.
+ *       400:
+ *         description: Invalid field value, unknown field, or nothing to update.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       412:
+ *         description: If-Match does not match the current version; the ETag header holds the current one.
+ *       428:
+ *         description: If-Match is missing and REQUIRE_IF_MATCH is on.
+ */
+app.patch('/items/:id', async (req, res) => {
+  const update = validateUpdateBody(req.body, ITEM_FIELD_VALIDATORS, true);
+  if (update.error) return res.status(400).json({ error: update.error });
+  await updateItem(req, res, update.fields);
+});
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   delete:
+ *     summary: Delete an item.
+ *     description: |
+ *       Soft delete: the item gets a deleted_at time and disappears from listings, search, GET /items/{id}
+ *       and checkout, but its history is kept and it can be brought back with POST /items/{id}/restore.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Item deleted.
+ *       404:
+ *         description: Item not found.
+ *       409:
+ *         description: Item is already deleted.
+ */
+app.delete('/items/:id', async (req, res) => {
+  try {
+    const result = await deleteItemRow(pool, req.params.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: 'Item deleted' });
+  } catch (error) {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted item.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The restored item.
+ *       404:
+ *         description: Item not found.
+ *       409:
+ *         description: Item is not deleted.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/items/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'UPDATE items SET deleted_at = NULL, version = version + 1 WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *;',
+      [id]
+    );
+    if (!result.rows.length) {
+      const existing = await pool.query('SELECT 1 FROM items WHERE id = $1;', [id]);
+      if (!existing.rows.length) return res.status(404).json({ error: 'Item not found' });
+      return res.status(409).json({ error: 'Item is not deleted' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error restoring item:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/stock:
+ *   put:
+ *     summary: Set or adjust an item's stock.
+ *     description: |
+ *       Send either "stock" to set the quantity on hand, or "adjustment" to add (restock) or subtract
+ *       (e.g. damaged goods) units. Adjustments are applied atomically and cannot take stock below zero.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *               adjustment:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: The item's new stock.
+ *       400:
+ *         description: Invalid body, or the adjustment would make stock negative.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.put('/items/:id/stock', async (req, res) => {
+  const { stock, adjustment } = req.body;
+  if ((stock === undefined) === (adjustment === undefined))
+    return res.status(400).json({ error: 'Provide either "stock" or "adjustment"' });
+  if (stock !== undefined && !isStockValue(stock))
+    return res.status(400).json({ error: 'stock must be a non-negative integer' });
+  if (adjustment !== undefined && !Number.isInteger(adjustment))
+    return res.status(400).json({ error: 'adjustment must be an integer' });
+
+  try {
+    const { id } = req.params;
+    const result = stock !== undefined
+      ? await pool.query('UPDATE items SET stock = $1 WHERE id = $2 AND deleted_at IS NULL RETURNING id, stock;', [stock, id])
+      : await pool.query(
+          'UPDATE items SET stock = stock + $1 WHERE id = $2 AND deleted_at IS NULL AND stock + $1 >= 0 RETURNING id, stock;',
+          [adjustment, id]
+        );
+    if (!result.rows.length) {
+      const item = await pool.query('SELECT stock FROM items WHERE id = $1 AND deleted_at IS NULL;', [id]);
+      if (!item.rows.length) return res.status(404).json({ error: 'Item not found' });
+      return res.status(400).json({
+        error: `Adjustment would make stock negative (currently ${item.rows[0].stock})`,
+        available: item.rows[0].stock,
+      });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating stock:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ItemVariant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         itemId:
+ *           type: integer
+ *         sku:
+ *           type: string
+ *           example: PANTS-00005-NVY-M
+ *         attributes:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { "size": "M", "colour": "Navy" }
+ *         priceOverride:
+ *           type: number
+ *           nullable: true
+ *           description: The variant's own price, or null to sell it at the item's price.
+ *         price:
+ *           type: number
+ *           description: The price the variant sells at (priceOverride, or else the item's price).
+ *         stock:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * Sends a 409 for a duplicate SKU or attribute combination; returns false for any other error.
+ */
+const sendVariantConflict = (res, error) => {
+  if (error.code !== '23505' || !VARIANT_CONFLICTS[error.constraint]) return false;
+  res.status(409).json({ error: VARIANT_CONFLICTS[error.constraint] });
+  return true;
+};
+
+/**
+ * @swagger
+ * /items/{id}/variants:
+ *   get:
+ *     summary: Retrieve an item's variants.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The item's variants, in creation order.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ItemVariant'
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items/:id/variants', async (req, res) => {
+  try {
+    const item = await pool.query('SELECT id FROM items WHERE id = $1;', [req.params.id]);
+    if (!item.rows.length) return res.status(404).json({ error: 'Item not found' });
+    const result = await pool.query(selectItemVariants('item_variants', 'v.item_id = $1'), [req.params.id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching variants:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/variants:
+ *   post:
+ *     summary: Add a variant to an item.
+ *     description: |
+ *       SKUs are unique across the catalog (ignoring case), and an item cannot have two variants with the same
+ *       attributes. Variants have their own stock; priceOverride is optional (default: the item's price).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sku
+ *               - attributes
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               priceOverride:
+ *                 type: number
+ *                 nullable: true
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Units available (default 0).
+ *     responses:
+ *       201:
+ *         description: The created variant.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ItemVariant'
+ *       400:
+ *         description: A field is missing (listed in "missing") or invalid.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       409:
+ *         description: The SKU already exists, or the item already has a variant with these attributes.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/items/:id/variants', async (req, res) => {
+  const create = validateUpdateBody(req.body, VARIANT_FIELD_VALIDATORS, false, ['priceOverride', 'stock']);
+  if (create.error) return res.status(400).json({ error: create.error, ...(create.missing && { missing: create.missing }) });
+  const { sku, attributes, priceOverride = null, stock = 0 } = create.fields;
+
+  try {
+    const result = await pool.query(
+      `WITH created AS (
+         INSERT INTO item_variants (item_id, sku, attributes, price_override, stock)
+         SELECT id, $2, $3, $4, $5 FROM items WHERE id = $1 AND deleted_at IS NULL
+         RETURNING *
+       )
+       ${selectItemVariants('created', 'TRUE')}`,
+      [req.params.id, sku, JSON.stringify(attributes), priceOverride, stock]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Item not found' });
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (sendVariantConflict(res, error)) return;
+    console.error('Error creating variant:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/variants/{variantId}:
+ *   get:
+ *     summary: Retrieve one variant of an item.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The variant.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ItemVariant'
+ *       404:
+ *         description: Variant not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items/:id/variants/:variantId', async (req, res) => {
+  try {
+    const result = await pool.query(selectItemVariants('item_variants', 'v.id = $1 AND v.item_id = $2'), [
+      req.params.variantId,
+      req.params.id,
+    ]);
+    if (!result.rows.length) return res.status(404).json({ error: 'Variant not found' });
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching variant:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/variants/{variantId}:
+ *   patch:
+ *     summary: Partially update a variant.
+ *     description: JSON Merge Patch (RFC 7396); priceOverride null goes back to the item's price.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               priceOverride:
+ *                 type: number
+ *                 nullable: true
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: The updated variant.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ItemVariant'
+ *       400:
+ *         description: Invalid field value, unknown field, or nothing to update.
+ *       404:
+ *         description: Variant not found, or its item is deleted.
+ *       409:
+ *         description: The SKU already exists, or the item already has a variant with these attributes.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.patch('/items/:id/variants/:variantId', async (req, res) => {
+  const update = validateUpdateBody(req.body, VARIANT_FIELD_VALIDATORS, true);
+  if (update.error) return res.status(400).json({ error: update.error });
+  const names = Object.keys(update.fields);
+  const values = names.map((field) => (field === 'attributes' ? JSON.stringify(update.fields[field]) : update.fields[field]));
+
+  try {
+    const result = await pool.query(
+      `WITH updated AS (
+         UPDATE item_variants SET ${names.map((field, index) => `${VARIANT_FIELD_COLUMNS[field]} = $${index + 3}`).join(', ')}
+          WHERE id = $1 AND item_id = (SELECT id FROM items WHERE id = $2 AND deleted_at IS NULL)
+         RETURNING *
+       )
+       ${selectItemVariants('updated', 'TRUE')}`,
+      [req.params.variantId, req.params.id, ...values]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Variant not found' });
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (sendVariantConflict(res, error)) return;
+    console.error('Error updating variant:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a variant.
+ *     description: The variant is removed for good; carts holding it fail at checkout with "Variant not found".
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Variant deleted.
+ *       404:
+ *         description: Variant not found, or its item is deleted.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.delete('/items/:id/variants/:variantId', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM item_variants WHERE id = $1 AND item_id = (SELECT id FROM items WHERE id = $2 AND deleted_at IS NULL) RETURNING id;',
+      [req.params.variantId, req.params.id]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Variant not found' });
+    res.json({ message: 'Variant deleted' });
+  } catch (error) {
+    console.error('Error deleting variant:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/checkout:
+ *   post:
+ *     summary: Take the stock for a checkout.
+ *     description: |
+ *       Decrements stock for every line in one transaction: the variant's stock for lines with a variantId,
+ *       otherwise the item's stock (items that have variants must be bought by variant). If any line cannot be
+ *       fulfilled nothing is changed and the failing lines are returned with the quantity still available.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lines
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                     variantId:
+ *                       type: integer
+ *                       nullable: true
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Stock taken; returns each line with the remaining stock.
+ *       400:
+ *         description: Invalid lines.
+ *       409:
+ *         description: Not enough stock for one or more lines (see failedLines).
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/inventory/checkout', async (req, res) => {
+  const { lines } = req.body;
+  if (!Array.isArray(lines) || !lines.length)
+    return res.status(400).json({ error: 'lines must be a non-empty array' });
+  // Lines without a variantId take the item's stock, lines with one take the variant's stock.
+  const quantities = new Map();
+  const variantQuantities = new Map();
+  const variantItems = new Map();
+  for (const [index, line] of lines.entries()) {
+    const { itemId, variantId = null, quantity } = line || {};
+    if (!Number.isInteger(itemId) || itemId <= 0 || !Number.isInteger(quantity) || quantity <= 0)
+      return res.status(400).json({ error: `Line at index ${index} must have a positive integer "itemId" and "quantity".` });
+    if (variantId === null) {
+      quantities.set(itemId, (quantities.get(itemId) || 0) + quantity);
+      continue;
+    }
+    if (!Number.isInteger(variantId) || variantId <= 0 || (variantItems.has(variantId) && variantItems.get(variantId) !== itemId))
+      return res.status(400).json({ error: `Line at index ${index} has an invalid "variantId".` });
+    variantItems.set(variantId, itemId);
+    variantQuantities.set(variantId, (variantQuantities.get(variantId) || 0) + quantity);
+  }
+  const itemIds = [...quantities.keys()];
+  const variantIds = [...variantQuantities.keys()];
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // Lock rows in id order, items before variants, so concurrent checkouts cannot deadlock
+    const items = await client.query(
+      `SELECT id, stock, EXISTS (SELECT 1 FROM item_variants v WHERE v.item_id = items.id) AS "hasVariants"
+         FROM items WHERE id = ANY($1::int[]) AND deleted_at IS NULL ORDER BY id FOR UPDATE;`,
+      [itemIds]
+    );
+    const variants = await client.query(
+      `SELECT v.id, v.item_id AS "itemId", v.stock
+         FROM item_variants v JOIN items i ON i.id = v.item_id
+        WHERE v.id = ANY($1::int[]) AND i.deleted_at IS NULL ORDER BY v.id FOR UPDATE OF v;`,
+      [variantIds]
+    );
+    const itemsById = new Map(items.rows.map((row) => [row.id, row]));
+    const variantsById = new Map(
+      variants.rows.filter((row) => row.itemId === variantItems.get(row.id)).map((row) => [row.id, row])
+    );
+    const failedLines = [
+      ...itemIds.map((itemId) => {
+        const item = itemsById.get(itemId);
+        const requested = quantities.get(itemId);
+        if (!item) return { itemId, requested, available: 0, reason: 'Item not found' };
+        // An item sold in variants keeps its stock per variant
+        if (item.hasVariants) return { itemId, requested, available: 0, reason: 'Item has variants; a variantId is required' };
+        return item.stock < requested ? { itemId, requested, available: item.stock, reason: 'Insufficient stock' } : null;
+      }),
+      ...variantIds.map((variantId) => {
+        const variant = variantsById.get(variantId);
+        const line = { itemId: variantItems.get(variantId), variantId, requested: variantQuantities.get(variantId) };
+        if (!variant) return { ...line, available: 0, reason: 'Variant not found' };
+        return variant.stock < line.requested ? { ...line, available: variant.stock, reason: 'Insufficient stock' } : null;
+      }),
+    ].filter(Boolean);
+    if (failedLines.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Not enough stock for some items', failedLines });
+    }
+
+    const updated = await client.query(
+      `UPDATE items SET stock = items.stock - lines.quantity
+         FROM unnest($1::int[], $2::int[]) AS lines(item_id, quantity)
+        WHERE items.id = lines.item_id
+        RETURNING items.id AS "itemId", lines.quantity, items.stock AS "remainingStock";`,
+      [itemIds, itemIds.map((itemId) => quantities.get(itemId))]
+    );
+    const updatedVariants = await client.query(
+      `UPDATE item_variants SET stock = item_variants.stock - lines.quantity
+         FROM unnest($1::int[], $2::int[]) AS lines(variant_id, quantity)
+        WHERE item_variants.id = lines.variant_id
+        RETURNING item_variants.item_id AS "itemId", item_variants.id AS "variantId", lines.quantity,
+                  item_variants.stock AS "remainingStock";`,
+      [variantIds, variantIds.map((variantId) => variantQuantities.get(variantId))]
+    );
+    await client.query('COMMIT');
+    res.json({ lines: [...updated.rows, ...updatedVariants.rows] });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error taking stock for checkout:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/price-history:
+ *   get:
+ *     summary: Retrieve an item's price changes, newest first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The price changes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   oldPrice:
+ *                     type: number
+ *                   newPrice:
+ *                     type: number
+ *                   changedBy:
+ *                     type: string
+ *                   changedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   source:
+ *                     type: string
+ *                     enum: [manual, import, schedule-start, schedule-end, schedule-cancel]
+ *                   scheduledPriceId:
+ *                     type: integer
+ *                     nullable: true
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items/:id/price-history', async (req, res) => {
+  try {
+    const item = await pool.query('SELECT id FROM items WHERE id = $1;', [req.params.id]);
+    if (!item.rows.length) return res.status(404).json({ error: 'Item not found' });
+    const result = await pool.query(
+      `SELECT id, old_price AS "oldPrice", new_price AS "newPrice", changed_by AS "changedBy",
+              changed_at AS "changedAt", source, scheduled_price_id AS "scheduledPriceId"
+         FROM price_history WHERE item_id = $1 ORDER BY changed_at DESC, id DESC;`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/scheduled-prices:
+ *   get:
+ *     summary: Retrieve an item's scheduled prices.
+ *     description: |
+ *       Status is pending (not started), active (sale running), applied (permanent change made),
+ *       ended (sale over, price restored), cancelled, or expired (its window passed before it could start).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The scheduled prices, by start time.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items/:id/scheduled-prices', async (req, res) => {
+  try {
+    const item = await pool.query('SELECT id FROM items WHERE id = $1;', [req.params.id]);
+    if (!item.rows.length) return res.status(404).json({ error: 'Item not found' });
+    const result = await pool.query(
+      `SELECT ${SCHEDULED_PRICE_COLUMNS} FROM scheduled_prices WHERE item_id = $1 ORDER BY starts_at, id;`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching scheduled prices:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/scheduled-prices:
+ *   post:
+ *     summary: Schedule a price for an item.
+ *     description: |
+ *       The price is applied automatically at startsAt. With endsAt it is a sale: the previous price is restored
+ *       at endsAt (unless the price was changed by hand in the meantime). Without endsAt the change is permanent.
+ *       Schedules for the same item may not overlap.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *               - startsAt
+ *             properties:
+ *               price:
+ *                 type: number
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Price scheduled (already applied if startsAt is not in the future).
+ *       400:
+ *         description: Invalid price or times.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       409:
+ *         description: Overlaps another pending or active schedule for the item.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/items/:id/scheduled-prices', async (req, res) => {
+  const { price, startsAt, endsAt = null } = req.body;
+  if (typeof price !== 'number' || !(price > 0) || price >= 1e8)
+    return res.status(400).json({ error: 'price must be a positive number' });
+  const starts = new Date(startsAt);
+  if (typeof startsAt !== 'string' || isNaN(starts))
+    return res.status(400).json({ error: 'startsAt must be an ISO 8601 date-time' });
+  const ends = endsAt === null ? null : new Date(endsAt);
+  if (ends !== null && (typeof endsAt !== 'string' || isNaN(ends)))
+    return res.status(400).json({ error: 'endsAt must be an ISO 8601 date-time' });
+  if (ends !== null && (ends <= starts || ends <= new Date()))
+    return res.status(400).json({ error: 'endsAt must be in the future and after startsAt' });
+
+  let client;
+  let schedule;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const item = await client.query('SELECT id FROM items WHERE id = $1 AND deleted_at IS NULL FOR UPDATE;', [req.params.id]);
+    if (!item.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    const overlapping = await client.query(
+      `SELECT ${SCHEDULED_PRICE_COLUMNS} FROM scheduled_prices
+        WHERE item_id = $1 AND status IN ('pending', 'active')
+          AND starts_at < COALESCE($3::timestamptz, 'infinity') AND COALESCE(ends_at, 'infinity') > $2;`,
+      [req.params.id, starts, ends]
+    );
+    if (overlapping.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Overlaps another scheduled price for this item', conflicts: overlapping.rows });
+    }
+    const result = await client.query(
+      `INSERT INTO scheduled_prices (item_id, price, starts_at, ends_at, created_by)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id;`,
+      [req.params.id, price, starts, ends, req.actor]
+    );
+    await client.query('COMMIT');
+    schedule = result.rows[0];
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error scheduling price:', error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+
+  try {
+    // Start schedules that are already due right away instead of waiting for the next scheduler run
+    if (starts <= new Date()) await applyScheduledPrices();
+    const result = await pool.query(`SELECT ${SCHEDULED_PRICE_COLUMNS} FROM scheduled_prices WHERE id = $1;`, [schedule.id]);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error applying scheduled price:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/scheduled-prices/{scheduleId}:
+ *   delete:
+ *     summary: Cancel a scheduled price.
+ *     description: A pending schedule is dropped. Cancelling an active sale ends it now and restores the previous price.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The cancelled schedule.
+ *       404:
+ *         description: Scheduled price not found.
+ *       409:
+ *         description: The schedule has already finished.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.delete('/items/:id/scheduled-prices/:scheduleId', async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const found = await client.query(
+      'SELECT * FROM scheduled_prices WHERE id = $1 AND item_id = $2 FOR UPDATE;',
+      [req.params.scheduleId, req.params.id]
+    );
+    if (!found.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Scheduled price not found' });
+    }
+    const schedule = found.rows[0];
+    if (schedule.status === 'active') {
+      await endScheduledPrice(client, schedule, 'cancelled', req.actor);
+    } else if (schedule.status === 'pending') {
+      await client.query("UPDATE scheduled_prices SET status = 'cancelled' WHERE id = $1;", [schedule.id]);
+    } else {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Scheduled price has already finished (${schedule.status})` });
+    }
+    const result = await client.query(`SELECT ${SCHEDULED_PRICE_COLUMNS} FROM scheduled_prices WHERE id = $1;`, [schedule.id]);
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error cancelling scheduled price:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/images:
+ *   get:
+ *     summary: Retrieve an item's images in display order.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The item's images.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items/:id/images', async (req, res) => {
+  try {
+    const item = await pool.query('SELECT id FROM items WHERE id = $1;', [req.params.id]);
+    if (!item.rows.length) return res.status(404).json({ error: 'Item not found' });
+    const result = await pool.query(
+      `SELECT ${ITEM_IMAGE_COLUMNS} FROM item_images WHERE item_id = $1 ORDER BY position;`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching item images:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/images:
+ *   post:
+ *     summary: Record an uploaded image for an item.
+ *     description: |
+ *       Stores the metadata of an image whose files have already been written to media storage.
+ *       The image is inserted at "position" (0-based; default last) and later images move down one place.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contentType
+ *               - size
+ *               - storageKey
+ *               - thumbnailKey
+ *             properties:
+ *               contentType:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *               width:
+ *                 type: integer
+ *               height:
+ *                 type: integer
+ *               originalName:
+ *                 type: string
+ *               storageKey:
+ *                 type: string
+ *               thumbnailKey:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Image recorded.
+ *       400:
+ *         description: Missing or invalid fields.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/items/:id/images', async (req, res) => {
+  const { contentType, size, width = null, height = null, originalName = null, storageKey, thumbnailKey, position } = req.body;
+  if (!contentType || !Number.isInteger(size) || !storageKey || !thumbnailKey)
+    return res.status(400).json({ error: 'contentType, size, storageKey and thumbnailKey are required' });
+  if (position !== undefined && (!Number.isInteger(position) || position < 0))
+    return res.status(400).json({ error: 'position must be a non-negative integer' });
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const item = await client.query('SELECT id FROM items WHERE id = $1 AND deleted_at IS NULL FOR UPDATE;', [req.params.id]);
+    if (!item.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    const count = await client.query('SELECT COUNT(*)::int AS count FROM item_images WHERE item_id = $1;', [req.params.id]);
+    const insertAt = position === undefined ? count.rows[0].count : Math.min(position, count.rows[0].count);
+    await client.query(
+      'UPDATE item_images SET position = position + 1 WHERE item_id = $1 AND position >= $2;',
+      [req.params.id, insertAt]
+    );
+    const result = await client.query(
+      `INSERT INTO item_images (item_id, position, content_type, size_bytes, width, height, original_name, storage_key, thumbnail_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${ITEM_IMAGE_COLUMNS};`,
+      [req.params.id, insertAt, contentType, size, width, height, originalName, storageKey, thumbnailKey]
+    );
+    await client.query('COMMIT');
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error recording item image:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/images/order:
+ *   put:
+ *     summary: Reorder an item's images.
+ *     description: imageIds must list every image of the item exactly once, in the new display order.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageIds
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The images in their new order.
+ *       400:
+ *         description: imageIds is not an ordering of the item's images.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.put('/items/:id/images/order', async (req, res) => {
+  const { imageIds } = req.body;
+  if (!Array.isArray(imageIds) || !imageIds.every(Number.isInteger))
+    return res.status(400).json({ error: 'imageIds must be an array of integers' });
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const item = await client.query('SELECT id FROM items WHERE id = $1 AND deleted_at IS NULL FOR UPDATE;', [req.params.id]);
+    if (!item.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    const current = await client.query('SELECT id FROM item_images WHERE item_id = $1;', [req.params.id]);
+    const currentIds = current.rows.map((row) => row.id);
+    if (imageIds.length !== currentIds.length || new Set(imageIds).size !== imageIds.length ||
+        !imageIds.every((id) => currentIds.includes(id))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'imageIds must list every image of the item exactly once', currentIds });
+    }
+    await client.query(
+      `UPDATE item_images SET position = ordered.position - 1
+         FROM unnest($1::int[]) WITH ORDINALITY AS ordered(id, position)
+        WHERE item_images.id = ordered.id;`,
+      [imageIds]
+    );
+    const result = await client.query(
+      `SELECT ${ITEM_IMAGE_COLUMNS} FROM item_images WHERE item_id = $1 ORDER BY position;`,
+      [req.params.id]
+    );
+    await client.query('COMMIT');
+    res.json(result.rows);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error reordering item images:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Remove an image from an item.
+ *     description: Returns the removed image so the caller can delete its files from media storage.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The removed image.
+ *       404:
+ *         description: Image not found, or its item is deleted.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.delete('/items/:id/images/:imageId', async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const result = await client.query(
+      `DELETE FROM item_images
+        WHERE id = $1 AND item_id = (SELECT id FROM items WHERE id = $2 AND deleted_at IS NULL)
+        RETURNING ${ITEM_IMAGE_COLUMNS};`,
+      [req.params.imageId, req.params.id]
+    );
+    if (!result.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    await client.query(
+      'UPDATE item_images SET position = position - 1 WHERE item_id = $1 AND position > $2;',
+      [req.params.id, result.rows[0].position]
+    );
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error removing item image:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/categories:
+ *   put:
+ *     summary: Replace the categories an item belongs to.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - categoryIds
+ *             properties:
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The item's new categories.
+ *       400:
+ *         description: Invalid category list or unknown category ids.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.put('/items/:id/categories', async (req, res) => {
+  const { categoryIds } = req.body;
+  if (!Array.isArray(categoryIds) || !categoryIds.every((id) => Number.isInteger(id) && id > 0))
+    return res.status(400).json({ error: 'categoryIds must be an array of positive integers' });
+  const uniqueIds = [...new Set(categoryIds)];
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const item = await client.query('SELECT id FROM items WHERE id = $1 AND deleted_at IS NULL FOR UPDATE;', [req.params.id]);
+    if (!item.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    const found = await client.query('SELECT id FROM categories WHERE id = ANY($1::int[]);', [uniqueIds]);
+    const missing = uniqueIds.filter((id) => !found.rows.some((row) => row.id === id));
+    if (missing.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Unknown category ids: ${missing.join(', ')}` });
+    }
+
+    await client.query('DELETE FROM item_categories WHERE item_id = $1;', [req.params.id]);
+    await client.query(
+      'INSERT INTO item_categories (item_id, category_id) SELECT $1, unnest($2::int[]);',
+      [req.params.id, uniqueIds]
+    );
+    const categories = await client.query(
+      `SELECT c.id, c.name, c.parent_id AS "parentId"
+         FROM item_categories ic JOIN categories c ON c.id = ic.category_id
+        WHERE ic.item_id = $1 ORDER BY c.id;`,
+      [req.params.id]
+    );
+    await client.query('COMMIT');
+    res.json({ id: item.rows[0].id, categories: categories.rows });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error updating item categories:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Retrieve all categories.
+ *     description: Returns a flat list; parentId links each category to its parent (null for top-level categories).
+ *     responses:
+ *       200:
+ *         description: A list of categories.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   parentId:
+ *                     type: integer
+ *                     nullable: true
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/categories', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, description, parent_id AS "parentId" FROM categories ORDER BY parent_id NULLS FIRST, name;`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     summary: Retrieve a category by ID.
+ *     description: Includes the path of ancestors from the top level down and the direct subcategories.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A category.
+ *       404:
+ *         description: Category not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/categories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'SELECT id, name, description, parent_id AS "parentId" FROM categories WHERE id = $1;',
+      [id]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Category not found' });
+
+    const ancestors = await pool.query(
+      `WITH RECURSIVE ancestors AS (
+         SELECT id, name, parent_id, 0 AS depth FROM categories WHERE id = (SELECT parent_id FROM categories WHERE id = $1)
+         UNION ALL
+         SELECT c.id, c.name, c.parent_id, a.depth + 1 FROM categories c JOIN ancestors a ON c.id = a.parent_id
+       )
+       SELECT id, name FROM ancestors ORDER BY depth DESC;`,
+      [id]
+    );
+    const children = await pool.query('SELECT id, name FROM categories WHERE parent_id = $1 ORDER BY name;', [id]);
+    res.json({ ...result.rows[0], path: ancestors.rows, children: children.rows });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     summary: Create a category.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Category created.
+ *       400:
+ *         description: Invalid fields or parent category not found.
+ *       409:
+ *         description: A category with this name already exists under the same parent.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/categories', async (req, res) => {
+  const category = parseCategoryBody(req.body);
+  if (category.error) return res.status(400).json({ error: category.error });
+
+  try {
+    const { name, description, parentId } = category;
+    if (parentId !== null) {
+      const parent = await pool.query('SELECT 1 FROM categories WHERE id = $1;', [parentId]);
+      if (!parent.rows.length) return res.status(400).json({ error: 'Parent category not found' });
+    }
+    const result = await pool.query(
+      'INSERT INTO categories (name, description, parent_id) VALUES ($1, $2, $3) RETURNING id, name, description, parent_id AS "parentId";',
+      [name, description, parentId]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505')
+      return res.status(409).json({ error: 'A category with this name already exists under the same parent' });
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   put:
+ *     summary: Update a category.
+ *     description: Renames or moves a category. A category cannot be moved below itself or one of its descendants.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Category updated.
+ *       400:
+ *         description: Invalid fields, parent category not found, or the move would create a cycle.
+ *       404:
+ *         description: Category not found.
+ *       409:
+ *         description: A category with this name already exists under the same parent.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.put('/categories/:id', async (req, res) => {
+  const category = parseCategoryBody(req.body);
+  if (category.error) return res.status(400).json({ error: category.error });
+
+  try {
+    const { id } = req.params;
+    const { name, description, parentId } = category;
+    if (parentId !== null) {
+      const parent = await pool.query('SELECT 1 FROM categories WHERE id = $1;', [parentId]);
+      if (!parent.rows.length) return res.status(400).json({ error: 'Parent category not found' });
+      const subtree = await pool.query(`${categorySubtreeSql('$1')};`, [id]);
+      if (subtree.rows.some((row) => row.id === parentId))
+        return res.status(400).json({ error: 'A category cannot be moved below itself or one of its subcategories' });
+    }
+    const result = await pool.query(
+      `UPDATE categories SET name = $1, description = $2, parent_id = $3 WHERE id = $4
+       RETURNING id, name, description, parent_id AS "parentId";`,
+      [name, description, parentId, id]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Category not found' });
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505')
+      return res.status(409).json({ error: 'A category with this name already exists under the same parent' });
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     summary: Delete a category.
+ *     description: Items in the category are unlinked, not deleted. Categories that still have subcategories cannot be deleted.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category deleted.
+ *       404:
+ *         description: Category not found.
+ *       409:
+ *         description: The category has subcategories.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.delete('/categories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const children = await pool.query('SELECT 1 FROM categories WHERE parent_id = $1 LIMIT 1;', [id]);
+    if (children.rows.length)
+      return res.status(409).json({ error: 'Category has subcategories; move or delete them first' });
+    const result = await pool.query('DELETE FROM categories WHERE id = $1 RETURNING id;', [id]);
+    if (!result.rows.length) return res.status(404).json({ error: 'Category not found' });
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         itemId:
+ *           type: integer
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         text:
+ *           type: string
+ *         author:
+ *           type: string
+ *           description: First name and surname initial of the reviewer, e.g. "John D."
+ *         verifiedPurchase:
+ *           type: boolean
+ *           description: True when the reviewer has paid for the item.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /items/{id}/reviews:
+ *   get:
+ *     summary: Retrieve an item's reviews, newest first.
+ *     description: Reviews hidden by a moderator are left out, also from averageRating and reviewCount.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of reviews per page (default 10, max 100).
+ *     responses:
+ *       200:
+ *         description: A page of reviews with the item's rating.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 averageRating:
+ *                   type: number
+ *                   nullable: true
+ *       400:
+ *         description: page or limit is not a positive integer.
+ *       404:
+ *         description: Item not found (or deleted).
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items/:id/reviews', async (req, res) => {
+  try {
+    const pageParams = parsePageParams(req.query, 100);
+    if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+    const { page, limit, offset } = pageParams;
+
+    const item = await pool.query('SELECT id FROM items WHERE id = $1 AND deleted_at IS NULL;', [req.params.id]);
+    if (!item.rows.length) return res.status(404).json({ error: 'Item not found' });
+    const [rating] = await attachItemRatings(item.rows);
+    const result = await pool.query(
+      `SELECT ${REVIEW_COLUMNS} FROM reviews r JOIN users u ON u.id = r.user_id
+        WHERE r.item_id = $1 AND r.status <> 'hidden'
+        ORDER BY r.created_at DESC, r.id DESC
+        LIMIT $2 OFFSET $3;`,
+      [req.params.id, limit, offset]
+    );
+    res.json({ reviews: result.rows, page, limit, total: rating.reviewCount, averageRating: rating.averageRating });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/reviews:
+ *   post:
+ *     summary: Review an item on behalf of a customer.
+ *     description: Each customer can review an item once. The review is published right away.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - rating
+ *               - text
+ *             properties:
+ *               username:
+ *                 type: string
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               text:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: The created review.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid rating or text.
+ *       404:
+ *         description: Item or user not found.
+ *       409:
+ *         description: The customer has already reviewed this item.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/items/:id/reviews', async (req, res) => {
+  const { username, rating, text } = req.body;
+  if (typeof username !== 'string' || !username) return res.status(400).json({ error: 'username is required' });
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5)
+    return res.status(400).json({ error: 'rating must be a whole number from 1 to 5' });
+  const textError = requiredString('text', 2000)(text);
+  if (textError) return res.status(400).json({ error: textError });
+
+  try {
+    const inserted = await pool.query(
+      `INSERT INTO reviews (item_id, user_id, rating, text)
+       SELECT i.id, u.id, $3, $4 FROM items i, users u
+        WHERE i.id = $1 AND i.deleted_at IS NULL AND u.username = $2 AND u.deleted_at IS NULL
+       RETURNING id;`,
+      [req.params.id, username, rating, text.trim()]
+    );
+    if (!inserted.rows.length) {
+      const item = await pool.query('SELECT 1 FROM items WHERE id = $1 AND deleted_at IS NULL;', [req.params.id]);
+      return res.status(404).json({ error: item.rows.length ? 'User not found' : 'Item not found' });
+    }
+    const result = await pool.query(`SELECT ${REVIEW_COLUMNS} FROM reviews r JOIN users u ON u.id = r.user_id WHERE r.id = $1;`, [
+      inserted.rows[0].id,
+    ]);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ error: 'You have already reviewed this item' });
+    console.error('Error creating review:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews:
+ *   get:
+ *     summary: Retrieve reviews for moderation, newest first.
+ *     description: Includes hidden reviews, the reviewer's username and who last moderated each review.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [published, approved, hidden]
+ *         description: Only reviews with this status; published reviews have not been moderated yet.
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of reviews per page (default 10, max 100).
+ *     responses:
+ *       200:
+ *         description: A paginated list of reviews.
+ *       400:
+ *         description: Invalid filter value, or page or limit is not a positive integer.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/reviews', async (req, res) => {
+  try {
+    const { status, itemId } = req.query;
+    const pageParams = parsePageParams(req.query, 100);
+    if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+    const { page, limit, offset } = pageParams;
+
+    const conditions = [];
+    const params = [];
+    if (status !== undefined) {
+      if (!REVIEW_STATUSES.includes(status))
+        return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+      conditions.push(`r.status = $${params.push(status)}`);
+    }
+    if (itemId !== undefined) {
+      if (!/^\d+$/.test(itemId)) return res.status(400).json({ error: 'itemId must be a positive integer' });
+      conditions.push(`r.item_id = $${params.push(parseInt(itemId, 10))}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const totalResult = await pool.query(`SELECT COUNT(*) FROM reviews r ${where};`, params);
+    const total = parseInt(totalResult.rows[0].count, 10);
+    const result = await pool.query(
+      `SELECT ${REVIEW_MODERATION_COLUMNS} FROM reviews r JOIN users u ON u.id = r.user_id ${where}
+        ORDER BY r.created_at DESC, r.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+      [...params, limit, offset]
+    );
+    res.json({ reviews: result.rows, page, limit, total });
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   get:
+ *     summary: Retrieve a review with its moderation details.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The review.
+ *       404:
+ *         description: Review not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/reviews/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${REVIEW_MODERATION_COLUMNS} FROM reviews r JOIN users u ON u.id = r.user_id WHERE r.id = $1;`,
+      [req.params.id]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'Review not found' });
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching review:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * Route handler that moves a review to the given status, recording the acting moderator.
+ */
+const moderateReview = (status) => async (req, res) => {
+  try {
+    const updated = await pool.query(
+      'UPDATE reviews SET status = $1, moderated_by = $2, moderated_at = NOW() WHERE id = $3 RETURNING id;',
+      [status, req.actor, req.params.id]
+    );
+    if (!updated.rows.length) return res.status(404).json({ error: 'Review not found' });
+    const result = await pool.query(
+      `SELECT ${REVIEW_MODERATION_COLUMNS} FROM reviews r JOIN users u ON u.id = r.user_id WHERE r.id = $1;`,
+      [req.params.id]
+    );
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error(`Error moderating review (${status}):`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+/**
+ * @swagger
+ * /reviews/{id}/approve:
+ *   post:
+ *     summary: Approve a review.
+ *     description: Marks the review as checked by a moderator. A hidden review is shown again.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The approved review.
+ *       404:
+ *         description: Review not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/reviews/:id/approve', moderateReview('approved'));
+
+/**
+ * @swagger
+ * /reviews/{id}/hide:
+ *   post:
+ *     summary: Hide a review.
+ *     description: The review is no longer shown to customers and no longer counts towards the item's rating.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The hidden review.
+ *       404:
+ *         description: Review not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/reviews/:id/hide', moderateReview('hidden'));
+
+/**
+ * @swagger
+ * /purchases:
+ *   post:
+ *     summary: Record a customer's paid order.
+ *     description: Called by the Backend API after payment. Reviews of these items then show a verified purchase badge.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - lines
+ *             properties:
+ *               username:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                     variantId:
+ *                       type: integer
+ *                       nullable: true
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       201:
+ *         description: The purchases were recorded.
+ *       400:
+ *         description: Invalid lines.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/purchases', async (req, res) => {
+  const { username, lines } = req.body;
+  if (typeof username !== 'string' || !username) return res.status(400).json({ error: 'username is required' });
+  if (!Array.isArray(lines) || !lines.length) return res.status(400).json({ error: 'lines must be a non-empty array' });
+  for (const [index, line] of lines.entries()) {
+    const { itemId, variantId = null, quantity } = line || {};
+    if (
+      !Number.isInteger(itemId) || itemId <= 0 || !Number.isInteger(quantity) || quantity <= 0 ||
+      (variantId !== null && !(Number.isInteger(variantId) && variantId > 0))
+    )
+      return res.status(400).json({ error: `Line at index ${index} must have a positive integer "itemId" and "quantity".` });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO purchases (user_id, item_id, variant_id, quantity)
+       SELECT u.id, lines.item_id, lines.variant_id, lines.quantity
+         FROM users u, unnest($2::int[], $3::int[], $4::int[]) AS lines(item_id, variant_id, quantity)
+        WHERE u.username = $1
+       RETURNING id;`,
+      [
+        username,
+        lines.map((line) => line.itemId),
+        lines.map((line) => line.variantId || null),
+        lines.map((line) => line.quantity),
+      ]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    res.status(201).json({ recorded: result.rows.length });
+  } catch (error) {
+    if (error.code === '23503') return res.status(400).json({ error: 'Unknown item or variant in lines' });
+    console.error('Error recording purchases:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Retrieve a list of users.
+ *     parameters:
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also return soft-deleted users.
+ *     responses:
+ *       200:
+ *         description: A list of users, each with deletedAt (null unless deleted).
+ */
+app.get('/users', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}, deleted_at AS "deletedAt" FROM users
+        ${req.query.includeDeleted === 'true' ? '' : 'WHERE deleted_at IS NULL'} ORDER BY id;`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/locked:
+ *   get:
+ *     summary: Retrieve users whose login is currently locked.
+ *     responses:
+ *       200:
+ *         description: A list of locked users.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   username:
+ *                     type: string
+ *                   failures:
+ *                     type: integer
+ *                   lockedUntil:
+ *                     type: string
+ *                     format: date-time
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/users/locked', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.username, la.failures, la.locked_until AS "lockedUntil"
+         FROM login_attempts la
+         JOIN users u ON u.username = la.key
+        WHERE la.key_type = 'username' AND la.locked_until > NOW() AND u.deleted_at IS NULL
+        ORDER BY la.locked_until;`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching locked users:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user's login.
+ *     description: Clears the user's failed login counter and any active lockout.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User unlocked.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('SELECT username FROM users WHERE id = $1;', [id]);
+    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    await pool.query(`DELETE FROM login_attempts WHERE key_type = 'username' AND key = $1;`, [result.rows[0].username]);
+    res.json({ message: 'User unlocked' });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Retrieve a user by ID.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also return the user if they have been soft-deleted.
+ *     responses:
+ *       200:
+ *         description: A user. The ETag header holds its version.
+ *       404:
+ *         description: User not found.
+ */
+app.get('/users/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}, deleted_at AS "deletedAt" FROM users
+        WHERE id = $1 ${req.query.includeDeleted === 'true' ? '' : 'AND deleted_at IS NULL'};`,
+      [id]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    res.set('ETag', versionEtag(result.rows[0].version));
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   post:
+ *     summary: Create a new user.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - role
+ *               - firstname
+ *               - surname
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               firstname:
+ *                 type: string
+ *               surname:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User created successfully.
+ *       400:
+ *         description: Missing or invalid fields, or unknown role.
+ *       500:
+ *         description: Internal server error.
+ */
+app.post('/users', async (req, res) => {
+  try {
+    const { username, role, firstname, surname, password } = req.body;
+    if (!username || !role || !firstname || !surname || !password) {
+      return res.status(400).json({ error: 'Missing required fields.' });
+    }
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ error: `Unknown role "${role}".` });
+    }
+    const result = await pool.query(
+      `INSERT INTO users (username, role, firstname, surname, password) VALUES ($1, $2, $3, $4, $5) RETURNING ${USER_COLUMNS};`,
+      [username, role, firstname, surname, await hashPassword(password)]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error(`Error creating user: ${error}`);
+    res.status(500).json({ error: `Error creating user: ${error}` });
+  }
+});
+
+/**
+ * Writes validated user fields (from PUT or PATCH) if If-Match still matches, bumps the version and sends the user.
+ * Setting a password revokes the user's sessions, as a password reset or a change through /me/password does.
+ */
+const updateUser = async (req, res, fields) => {
+  const ifMatch = parseIfMatch(req);
+  if (ifMatch.error) return res.status(ifMatch.status).json({ error: ifMatch.error });
+
+  let client;
+  try {
+    const { id } = req.params;
+    if (fields.role !== undefined && !(await roleExists(fields.role))) {
+      return res.status(400).json({ error: `Unknown role "${fields.role}".` });
+    }
+    const values = { ...fields };
+    if (values.password !== undefined) values.password = await hashPassword(values.password);
+    const names = Object.keys(values);
+    const assignments = names.map((field, index) => `${field} = $${index + 1}`);
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const current = await client.query('SELECT username, version FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE;', [id]);
+    if (!current.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { username, version } = current.rows[0];
+    if (ifMatch.versions && !ifMatch.versions.includes(version)) {
+      await client.query('ROLLBACK');
+      res.set('ETag', versionEtag(version));
+      return res.status(412).json({ error: 'User has been changed since it was read; fetch it again and retry', version });
+    }
+    const result = await client.query(
+      `UPDATE users SET ${assignments.join(', ')}, version = version + 1 WHERE id = $${names.length + 1} RETURNING ${USER_COLUMNS};`,
+      [...names.map((field) => values[field]), id]
+    );
+    // Sessions belong to the username they were issued for, so revoke those of the name the user had until now.
+    if (fields.password !== undefined)
+      await client.query('UPDATE token_families SET revoked_at = NOW() WHERE username = $1 AND revoked_at IS NULL;', [username]);
+    await client.query('COMMIT');
+    res.set('ETag', versionEtag(result.rows[0].version));
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    if (error.code === '23505') return res.status(409).json({ error: 'Username already exists' });
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+};
+    if (values.password !== undefined) values.password = await hashPassword(values.password);
+    const names = Object.keys(values);
+    const assignments = names.map((field, index) => `${field} = $${index + 1}`);
+    const result = await pool.query(
+      `UPDATE users SET ${assignments.join(', ')}, version = version + 1
+        WHERE id = $${names.length + 1} AND deleted_at IS NULL
+          AND ($${names.length + 2}::int[] IS NULL OR version = ANY($${names.length + 2}::int[]))
+        RETURNING ${USER_COLUMNS};`,
+      [...names.map((field) => values[field]), id, ifMatch.versions]
+    );
+    if (!result.rows.length) {
+      const current = await pool.query('SELECT version FROM users WHERE id = $1 AND deleted_at IS NULL;', [id]);
+      if (!current.rows.length) return res.status(404).json({ error: 'User not found' });
+      const { version } = current.rows[0];
+      res.set('ETag', versionEtag(version));
+      return res.status(412).json({ error: 'User has been changed since it was read; fetch it again and retry', version });
+    }
+    res.set('ETag', versionEtag(result.rows[0].version));
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ error: 'Username already exists' });
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   put:
+ *     summary: Update an existing user.
+ *     description: |
+ *       Replaces the user: username, role, firstname and surname are required; the password is kept when left out.
+ *       Setting a password signs the user out of every session.
+ *       Send the ETag from GET /users/{id} in If-Match to make sure nobody changed the user in the meantime.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag from a previous read, e.g. "3". Required when REQUIRE_IF_MATCH=true.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               firstname:
+ *                 type: string
+ *               surname:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User updated. The ETag header holds the new version.
+ *       400:
+ *         description: A field is missing (listed in "missing") or invalid, or the role is unknown.
+ *       404:
+ *         description: User not found (or deleted).
+ *       409:
+ *         description: Username already exists.
+ *       412:
+ *         description: If-Match does not match the current version; the ETag header holds the current one.
+ *       428:
+ *         description: If-Match is missing and REQUIRE_IF_MATCH is on.
+ */
+app.put('/users/:id', async (req, res) => {
+  // The password is never returned, so a read-modify-write PUT keeps the current one when it is left out.
+  const update = validateUpdateBody(req.body, USER_FIELD_VALIDATORS, false, ['password']);
+  if (update.error) return res.status(400).json({ error: update.error, ...(update.missing && { missing: update.missing }) });
+  await updateUser(req, res, update.fields);
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   patch:
+ *     summary: Partially update a user.
+ *     description: |
+ *       JSON Merge Patch (RFC 7396): only the fields sent are changed; none of them may be null.
+ *       Setting a password signs the user out of every session.
+ *       Send the ETag from GET /users/{id} in If-Match to make sure nobody changed the user in the meantime.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag from a previous read, e.g. "3". Required when REQUIRE_IF_MATCH=true.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               firstname:
+ *                 type: string
+ *               surname:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User updated. The ETag header holds the new version.
+ *       400:
+ *         description: Invalid field value, unknown field or role, or nothing to update.
+ *       404:
+ *         description: User not found (or deleted).
+ *       409:
+ *         description: Username already exists.
+ *       412:
+ *         description: If-Match does not match the current version; the ETag header holds the current one.
+ *       428:
+ *         description: If-Match is missing and REQUIRE_IF_MATCH is on.
+ */
+app.patch('/users/:id', async (req, res) => {
+  const update = validateUpdateBody(req.body, USER_FIELD_VALIDATORS, true);
+  if (update.error) return res.status(400).json({ error: update.error });
+  await updateUser(req, res, update.fields);
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   delete:
+ *     summary: Delete a user.
+ *     description: |
+ *       Soft delete: the user gets a deleted_at time, can no longer log in, and all of their sessions are revoked.
+ *       The account and its history are kept and can be brought back with POST /users/{id}/restore.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User deleted.
+ *       404:
+ *         description: User not found.
+ *       409:
+ *         description: User is already deleted.
+ */
+app.delete('/users/:id', async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const result = await client.query(
+      'UPDATE users SET deleted_at = NOW(), version = version + 1 WHERE id = $1 AND deleted_at IS NULL RETURNING username;',
+      [id]
+    );
+    if (!result.rows.length) {
+      await client.query('ROLLBACK');
+      const existing = await pool.query('SELECT 1 FROM users WHERE id = $1;', [id]);
+      if (!existing.rows.length) return res.status(404).json({ error: 'User not found' });
+      return res.status(409).json({ error: 'User is already deleted' });
+    }
+    await client.query(
+      'UPDATE token_families SET revoked_at = NOW() WHERE username = $1 AND revoked_at IS NULL;',
+      [result.rows[0].username]
+    );
+    await client.query('COMMIT');
+    res.json({ message: 'User deleted' });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
 
-    const totalResult = await pool.query('SELECT COUNT(*) FROM items');
-    const total = parseInt(totalResult.rows[0].count, 10);
-    const result = await pool.query('SELECT * FROM items ORDER BY id LIMIT $1 OFFSET $2', [limit, offset]);
+/**
+ * @swagger
+ * /users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user.
+ *     description: The user can log in again; sessions revoked by the delete stay revoked.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The restored user.
+ *       404:
+ *         description: User not found.
+ *       409:
+ *         description: User is not deleted.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/users/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `UPDATE users SET deleted_at = NULL, version = version + 1 WHERE id = $1 AND deleted_at IS NOT NULL RETURNING ${USER_COLUMNS};`,
+      [id]
+    );
+    if (!result.rows.length) {
+      const existing = await pool.query('SELECT 1 FROM users WHERE id = $1;', [id]);
+      if (!existing.rows.length) return res.status(404).json({ error: 'User not found' });
+      return res.status(409).json({ error: 'User is not deleted' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /users/validate:
+ *   post:
+ *     summary: Validate user credentials.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: user
+ *               password:
+ *                 type: string
+ *                 example: userpass
+ *               clientIp:
+ *                 type: string
+ *                 description: Address of the end user, used for per-IP attempt limits.
+ *                 example: 203.0.113.7
+ *     responses:
+ *       200:
+ *         description: Credentials are valid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 username:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Token lifetime in seconds.
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshExpiresIn:
+ *                   type: integer
+ *                   description: Refresh token lifetime in seconds.
+ *       400:
+ *         description: Username or password missing.
+ *       401:
+ *         description: Invalid credentials.
+ *       423:
+ *         description: Account temporarily locked. The Retry-After header gives the remaining seconds.
+ *       429:
+ *         description: Too many failed attempts from this address or too soon after the last failure. See Retry-After.
+ */
+app.post('/users/validate', async (req, res) => {
+  const { username, password, clientIp } = req.body;
+  if (!username || !password) return res.status(400).json({ error: 'Username and password are required' });
+  try {
+    const throttle = await checkLoginThrottle(username, clientIp);
+    if (throttle) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({ error: throttle.error, retryAfter: throttle.retryAfter });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE username = $1 AND deleted_at IS NULL;', [username]);
+    if (!result.rows.length) {
+      await verifyPassword(String(password), await dummyPasswordHash);
+      await recordLoginFailures(username, clientIp);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    const user = result.rows[0];
+    if (!(await verifyPassword(password, user.password))) {
+      await recordLoginFailures(username, clientIp);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    await pool.query(`DELETE FROM login_attempts WHERE key_type = 'username' AND key = $1;`, [username]);
+    const tokens = await issueTokenPair(pool, user);
+    res.json({ id: user.id, username: user.username, role: user.role, ...tokens });
+  } catch (error) {
+    console.error('Error validating user:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /password-resets:
+ *   post:
+ *     summary: Create a password reset token.
+ *     description: |
+ *       Issues a single-use reset token for the user and returns it so the caller can deliver it.
+ *       Any earlier unused tokens for the same user stop working. Only a hash of the token is stored.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reset token created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 username:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Username missing.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/password-resets', async (req, res) => {
+  const { username } = req.body;
+  if (!username) return res.status(400).json({ error: 'Username is required' });
+
+  try {
+    const result = await pool.query('SELECT id FROM users WHERE username = $1 AND deleted_at IS NULL;', [username]);
+    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    const userId = result.rows[0].id;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await pool.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL;', [userId]);
+    const inserted = await pool.query(
+      `INSERT INTO password_reset_tokens (token_hash, user_id, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(secs => $3)) RETURNING expires_at;`,
+      [hashOpaqueToken(token), userId, PASSWORD_RESET_TTL_SECONDS]
+    );
+    res.status(201).json({ username, token, expiresAt: inserted.rows[0].expires_at });
+  } catch (error) {
+    console.error('Error creating password reset token:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /password-resets/confirm:
+ *   post:
+ *     summary: Reset a password with a reset token.
+ *     description: |
+ *       Sets the new password, marks the token as used, clears any login lockout and revokes all of
+ *       the user's sessions, so every access and refresh token issued before the reset stops working.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset.
+ *       400:
+ *         description: Missing fields, or the token is invalid, expired or already used.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.post('/password-resets/confirm', async (req, res) => {
+  const { token, newPassword } = req.body;
+  if (typeof token !== 'string' || typeof newPassword !== 'string' || !token || !newPassword)
+    return res.status(400).json({ error: 'token and newPassword are required' });
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const result = await client.query(
+      `SELECT prt.user_id, u.username
+         FROM password_reset_tokens prt
+         JOIN users u ON u.id = prt.user_id AND u.deleted_at IS NULL
+        WHERE prt.token_hash = $1 AND prt.used_at IS NULL AND prt.expires_at > NOW()
+        FOR UPDATE OF prt;`,
+      [hashOpaqueToken(token)]
+    );
+    if (!result.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    const { user_id: userId, username } = result.rows[0];
+
+    await client.query('UPDATE users SET password = $1 WHERE id = $2;', [await hashPassword(newPassword), userId]);
+    await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE token_hash = $1;', [hashOpaqueToken(token)]);
+    await client.query('UPDATE token_families SET revoked_at = NOW() WHERE username = $1 AND revoked_at IS NULL;', [username]);
+    await client.query(`DELETE FROM login_attempts WHERE key_type = 'username' AND key = $1;`, [username]);
+    await client.query('COMMIT');
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Fields a user may change on their own profile through /accounts/{username}.
+const PROFILE_FIELDS = ['firstname', 'surname'];
+
+/**
+ * @swagger
+ * /accounts/{username}:
+ *   get:
+ *     summary: Retrieve a user's own profile.
+ *     description: Self-service lookup by username, used by the storefront for the authenticated user.
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The user's profile.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/accounts/:username', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE username = $1 AND deleted_at IS NULL;`,
+      [req.params.username]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /accounts/{username}:
+ *   patch:
+ *     summary: Update a user's own profile.
+ *     description: Only firstname and surname can be changed. Fields that are not sent are left unchanged.
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstname:
+ *                 type: string
+ *               surname:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated profile.
+ *       400:
+ *         description: No fields to update, a field that cannot be changed, or an invalid value.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.patch('/accounts/:username', async (req, res) => {
+  const updates = req.body || {};
+  const fields = Object.keys(updates);
+  const notAllowed = fields.filter((field) => !PROFILE_FIELDS.includes(field));
+  if (notAllowed.length)
+    return res.status(400).json({ error: `These fields cannot be changed: ${notAllowed.join(', ')}` });
+  if (!fields.length)
+    return res.status(400).json({ error: `Nothing to update. Allowed fields: ${PROFILE_FIELDS.join(', ')}` });
+  for (const field of fields) {
+    const value = updates[field];
+    if (typeof value !== 'string' || !value.trim() || value.length > 100)
+      return res.status(400).json({ error: `${field} must be a non-empty string of at most 100 characters` });
+  }
 
-    res.json({ items: result.rows, page, limit, total });
+  try {
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+    const result = await pool.query(
+      `UPDATE users SET ${assignments.join(', ')}, version = version + 1
+        WHERE username = $${fields.length + 1} AND deleted_at IS NULL RETURNING ${USER_COLUMNS};`,
+      [...fields.map((field) => updates[field].trim()), req.params.username]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error fetching paginated items:', error);
+    console.error('Error updating account:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
 /**
  * @swagger
- * /items/batch:
+ * /accounts/{username}/password:
  *   post:
- *     summary: Create multiple items at once.
- *     description: Accepts an array of item objects. Each must include "name" and "price"; "description" is optional.
+ *     summary: Change a user's own password.
+ *     description: |
+ *       The current password must be supplied and correct. Wrong guesses count towards the login throttle
+ *       (see /users/validate), so they are delayed and lock the account the same way. A successful change revokes
+ *       every other session of the user; the session of the given token stays signed in.
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: array
- *             items:
- *               type: object
- *               required:
- *                 - name
- *                 - price
- *               properties:
- *                 name:
- *                   type: string
- *                 description:
- *                   type: string
- *                 price:
- *                   type: number
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *               token:
+ *                 type: string
+ *                 description: The access token of the session making the change, which is kept.
+ *               clientIp:
+ *                 type: string
+ *                 description: The end user's IP address, for per-IP throttling.
  *     responses:
- *       201:
- *         description: Items created successfully.
+ *       200:
+ *         description: Password changed.
  *       400:
- *         description: Invalid input data.
+ *         description: Missing fields.
+ *       403:
+ *         description: Current password is incorrect.
+ *       404:
+ *         description: User not found.
+ *       423:
+ *         description: Account locked after too many failed attempts; see Retry-After.
+ *       429:
+ *         description: Too many failed attempts; see Retry-After.
  *       500:
  *         description: Internal Server Error.
  */
-app.post('/items/batch', async (req, res) => {
-  if (!Array.isArray(req.body)) {
-    return res.status(400).json({ error: "Expected an array of items." });
-  }
+app.post('/accounts/:username/password', async (req, res) => {
+  const { currentPassword, newPassword, token, clientIp } = req.body;
+  if (typeof currentPassword !== 'string' || typeof newPassword !== 'string' || !currentPassword || !newPassword)
+    return res.status(400).json({ error: 'currentPassword and newPassword are required' });
+  const { username } = req.params;
 
-  const itemsToInsert = req.body;
-  for (const [index, item] of itemsToInsert.entries()) {
-    if (!item.name || item.price === undefined) {
-      return res.status(400).json({ error: `Item at index ${index} must have a "name" and "price".` });
+  let client;
+  try {
+    const throttle = await checkLoginThrottle(username, clientIp);
+    if (throttle) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.status).json({ error: throttle.error, retryAfter: throttle.retryAfter });
     }
-  }
 
-  try {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      const insertedItems = [];
-      for (const item of itemsToInsert) {
-        const { name, description = '', price } = item;
-        const result = await client.query(
-          'INSERT INTO items (name, description, price) VALUES ($1, $2, $3) RETURNING *;',
-          [name, description, price]
-        );
-        insertedItems.push(result.rows[0]);
-      }
-      await client.query('COMMIT');
-      return res.status(201).json(insertedItems);
-    } catch (innerError) {
-      await client.query('ROLLBACK');
-      console.error("Error during batch insert:", innerError);
-      return res.status(500).json({ error: "Internal Server Error during batch insert" });
-    } finally {
-      client.release();
+    const result = await pool.query('SELECT id, password FROM users WHERE username = $1 AND deleted_at IS NULL;', [username]);
+    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    const user = result.rows[0];
+    if (!(await verifyPassword(currentPassword, user.password))) {
+      await recordLoginFailures(username, clientIp);
+      return res.status(403).json({ error: 'Current password is incorrect' });
     }
+
+    const claims = typeof token === 'string' && decodeToken(token, username);
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await client.query('UPDATE users SET password = $1 WHERE id = $2;', [await hashPassword(newPassword), user.id]);
+    await client.query(
+      'UPDATE token_families SET revoked_at = NOW() WHERE username = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2;',
+      [username, (claims && claims.fid) || null]
+    );
+    await client.query(`DELETE FROM login_attempts WHERE key_type = 'username' AND key = $1;`, [username]);
+    await client.query('COMMIT');
+    res.json({ message: 'Password changed' });
   } catch (error) {
-    console.error("Error acquiring client for batch insert:", error);
-    return res.status(500).json({ error: "Internal Server Error" });
+    if (client) await client.query('ROLLBACK');
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    if (client) client.release();
   }
 });
 
 /**
  * @swagger
- * /items/{id}:
- *   get:
- *     summary: Retrieve an item by ID.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
+ * /user/role:
+ *   post:
+ *     summary: Retrieve a user's role and permissions.
+ *     description: Returns the role and the permissions it grants for the user specified by the username in the request body.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *             example:
+ *               username: "jdoe123"
  *     responses:
  *       200:
- *         description: An item.
+ *         description: User role retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 role:
+ *                   type: string
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *             example:
+ *               role: "admin"
+ *               permissions: ["audit:read", "items:write", "users:read", "users:write"]
  *       404:
- *         description: Item not found.
+ *         description: User not found.
+ *       500:
+ *         description: Internal Server Error.
  */
-app.get('/items/:id', async (req, res) => {
+app.post('/user/role', async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query('SELECT * FROM items WHERE id = $1;', [id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'Item not found' });
+    const { username } = req.body;
+    const result = await pool.query(
+      `SELECT u.role, COALESCE(array_agg(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions
+         FROM users u
+         LEFT JOIN role_permissions rp ON rp.role = u.role
+        WHERE u.username = $1 AND u.deleted_at IS NULL
+        GROUP BY u.role;`,
+      [username]
+    );
+    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
     res.json(result.rows[0]);
   } catch (error) {
     res.status(500).json({ error: 'Internal Server Error' });
@@ -351,163 +5399,536 @@ app.get('/items/:id', async (req, res) => {
 
 /**
  * @swagger
- * /items:
+ * /audit:
  *   post:
- *     summary: Create a new item.
+ *     summary: Record an audit entry.
+ *     description: Stores who changed what. Written by the Management API after every mutation.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - actor
+ *               - method
+ *               - route
  *             properties:
- *               name:
+ *               actor:
  *                 type: string
- *               description:
+ *               method:
  *                 type: string
- *               price:
- *                 type: number
+ *               route:
+ *                 type: string
+ *               entity:
+ *                 type: string
+ *               targetId:
+ *                 type: integer
+ *               before:
+ *                 type: object
+ *               after:
+ *                 type: object
+ *               changes:
+ *                 type: object
  *     responses:
  *       201:
- *         description: Item created.
+ *         description: Audit entry recorded.
+ *       400:
+ *         description: Missing required fields.
+ *       500:
+ *         description: Internal Server Error.
  */
-app.post('/items', async (req, res) => {
+app.post('/audit', async (req, res) => {
+  const { actor, method, route, entity, targetId, before, after, changes } = req.body;
+  if (!actor || !method || !route)
+    return res.status(400).json({ error: 'actor, method and route are required' });
+
   try {
-    const { name, description, price } = req.body;
     const result = await pool.query(
-      'INSERT INTO items (name, description, price) VALUES ($1, $2, $3) RETURNING *;',
-      [name, description, price]
+      `INSERT INTO audit_log (actor, method, route, entity, target_id, before, after, changes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id, created_at;`,
+      [
+        actor,
+        method,
+        route,
+        entity || null,
+        targetId || null,
+        JSON.stringify(before === undefined ? null : before),
+        JSON.stringify(after === undefined ? null : after),
+        JSON.stringify(changes === undefined ? null : changes),
+      ]
     );
     res.status(201).json(result.rows[0]);
   } catch (error) {
+    console.error('Error recording audit entry:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
 /**
  * @swagger
- * /items/{id}:
- *   put:
- *     summary: Update an existing item.
+ * /audit:
+ *   get:
+ *     summary: Retrieve a paginated, filtered list of audit entries, newest first.
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetId
  *         schema:
  *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               price:
- *                 type: number
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of entries per page (default 10, max 100).
  *     responses:
  *       200:
- *         description: Item updated.
- *       404:
- *         description: Item not found.
+ *         description: A paginated list of audit entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 records:
+ *                   type: array
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filter value, or page or limit is not a positive integer.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/audit', async (req, res) => {
+  try {
+    const { actor, entity, targetId, method, from, to } = req.query;
+    const pageParams = parsePageParams(req.query, 100);
+    if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+    const { page, limit, offset } = pageParams;
+
+    const conditions = [];
+    const params = [];
+    if (actor) conditions.push(`actor = $${params.push(actor)}`);
+    if (entity) conditions.push(`entity = $${params.push(entity)}`);
+    if (method) conditions.push(`method = $${params.push(String(method).toUpperCase())}`);
+    if (targetId !== undefined) {
+      if (!/^\d+$/.test(targetId)) return res.status(400).json({ error: 'targetId must be a positive integer' });
+      conditions.push(`target_id = $${params.push(parseInt(targetId, 10))}`);
+    }
+    for (const [name, value, operator] of [['from', from, '>='], ['to', to, '<']]) {
+      if (value === undefined) continue;
+      if (isNaN(Date.parse(value))) return res.status(400).json({ error: `${name} must be a valid date-time` });
+      conditions.push(`created_at ${operator} $${params.push(new Date(value).toISOString())}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const totalResult = await pool.query(`SELECT COUNT(*) FROM audit_log ${where};`, params);
+    const total = parseInt(totalResult.rows[0].count, 10);
+    const result = await pool.query(
+      `SELECT id, actor, method, route, entity, target_id AS "targetId", before, after, changes, created_at AS "createdAt"
+         FROM audit_log ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+      [...params, limit, offset]
+    );
+
+    res.json({ records: result.rows, page, limit, total });
+  } catch (error) {
+    console.error('Error fetching audit entries:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     summary: Retrieve all roles and their permissions.
+ *     responses:
+ *       200:
+ *         description: A list of roles.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   permissions:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/roles', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.name, r.description,
+              COALESCE(array_agg(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions
+         FROM roles r
+         LEFT JOIN role_permissions rp ON rp.role = r.name
+        GROUP BY r.name, r.description
+        ORDER BY r.name;`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+
+/* ----------------------------
+ * SCHEDULED PRICES
+ * ----------------------------
+ */
+
+const PRICE_SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.PRICE_SCHEDULER_INTERVAL_SECONDS, 10) || 30;
+
+/**
+ * Starts a due schedule: saves the current price and applies the scheduled one.
+ * A schedule whose end has already passed (e.g. the service was down) is marked expired instead.
+ */
+const startScheduledPrice = async (client, schedule) => {
+  if (schedule.ends_at && schedule.ends_at <= new Date()) {
+    await client.query("UPDATE scheduled_prices SET status = 'expired' WHERE id = $1;", [schedule.id]);
+    return;
+  }
+  const item = await client.query('SELECT price FROM items WHERE id = $1 FOR UPDATE;', [schedule.item_id]);
+  const previousPrice = item.rows[0].price;
+  await client.query('UPDATE items SET price = $1, version = version + 1 WHERE id = $2;', [schedule.price, schedule.item_id]);
+  await client.query(
+    'UPDATE scheduled_prices SET status = $1, previous_price = $2 WHERE id = $3;',
+    [schedule.ends_at ? 'active' : 'applied', previousPrice, schedule.id]
+  );
+  await recordPriceChange(client, schedule.item_id, previousPrice, schedule.price, schedule.created_by, 'schedule-start', schedule.id);
+};
+
+/**
+ * Ends an active sale and restores the price it replaced. If the price was changed by hand while the
+ * sale ran, that change is kept.
+ * @param {string} status - 'ended' or 'cancelled'.
+ */
+const endScheduledPrice = async (client, schedule, status, changedBy) => {
+  const item = await client.query('SELECT price FROM items WHERE id = $1 FOR UPDATE;', [schedule.item_id]);
+  if (item.rows[0].price === schedule.price) {
+    await client.query(
+      'UPDATE items SET price = $1, version = version + 1 WHERE id = $2;',
+      [schedule.previous_price, schedule.item_id]
+    );
+    await recordPriceChange(
+      client, schedule.item_id, schedule.price, schedule.previous_price, changedBy,
+      status === 'ended' ? 'schedule-end' : 'schedule-cancel', schedule.id
+    );
+  }
+  await client.query('UPDATE scheduled_prices SET status = $1 WHERE id = $2;', [status, schedule.id]);
+};
+
+/**
+ * Starts and ends every scheduled price that is due, one schedule per transaction.
+ * Rows are claimed with SKIP LOCKED, so several Adapter API instances can run this at once.
+ * Schedules of deleted items wait; they are applied (or expire) once the item is restored.
+ */
+const applyScheduledPrices = async () => {
+  for (;;) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const due = await client.query(
+        `SELECT * FROM scheduled_prices
+          WHERE ((status = 'pending' AND starts_at <= NOW()) OR (status = 'active' AND ends_at <= NOW()))
+            AND EXISTS (SELECT 1 FROM items i WHERE i.id = scheduled_prices.item_id AND i.deleted_at IS NULL)
+          ORDER BY id LIMIT 1 FOR UPDATE SKIP LOCKED;`
+      );
+      if (!due.rows.length) {
+        await client.query('COMMIT');
+        return;
+      }
+      const schedule = due.rows[0];
+      if (schedule.status === 'pending') await startScheduledPrice(client, schedule);
+      else await endScheduledPrice(client, schedule, 'ended', schedule.created_by);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+/* ----------------------------
+ * BACKGROUND JOBS
+ * ----------------------------
+ */
+
+const JOB_POLL_INTERVAL_SECONDS = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS, 10) || 2;
+const JOB_CHUNK_SIZE = parseInt(process.env.JOB_CHUNK_SIZE, 10) || 500;
+// A running job refreshes its heartbeat; one that stops doing so (its Adapter API instance was stopped or crashed)
+// is queued again after JOB_STALE_SECONDS, up to JOB_MAX_ATTEMPTS runs in total.
+const JOB_HEARTBEAT_SECONDS = 15;
+const JOB_STALE_SECONDS = 60;
+const JOB_MAX_ATTEMPTS = 3;
+// How many failed entries a job's error report lists; the failed count has the total.
+const MAX_JOB_ERRORS = 1000;
+// Job output is written to and read from its large object in pieces of this size.
+const JOB_OUTPUT_CHUNK_BYTES = 1024 * 1024;
+
+const JOB_COLUMNS = `id, type, status, total, processed, succeeded, failed, errors, error, attempts,
+  cancel_requested AS "cancelRequested", output_type IS NOT NULL AS "hasOutput", created_by AS "createdBy",
+  created_at AS "createdAt", started_at AS "startedAt", finished_at AS "finishedAt"`;
+
+/**
+ * Works through a batch job JOB_CHUNK_SIZE entries at a time, starting after the entries it has already processed.
+ * Each chunk is applied like a partial /items/batch and committed together with the job's progress and error report,
+ * so an interrupted job resumes exactly where it stopped. A cancel request is honoured between chunks.
+ * Every changed item is audited as changed by the job's creator, with method and route /jobs/{id}.
  */
-app.put('/items/:id', async (req, res) => {
+const runBatchJob = async (job, entries, operation, method) => {
+  const origin = { actor: job.created_by, method, route: `/jobs/${job.id}` };
+  let { processed, failed } = job;
+  while (processed < entries.length) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const current = await client.query('SELECT cancel_requested FROM jobs WHERE id = $1 FOR UPDATE;', [job.id]);
+      if (current.rows[0].cancel_requested) {
+        await client.query("UPDATE jobs SET status = 'cancelled', finished_at = NOW() WHERE id = $1;", [job.id]);
+        await client.query('COMMIT');
+        return;
+      }
+      const chunk = entries.slice(processed, processed + JOB_CHUNK_SIZE);
+      const { results } = await applyBatchEntries(client, chunk, true, operation, origin);
+      const failures = results
+        .filter((result) => result.status >= 400)
+        .map(({ index, status, id, error }) => ({ index: processed + index, status, id, error }));
+      await client.query(
+        `UPDATE jobs SET processed = processed + $2, succeeded = succeeded + $3, failed = failed + $4,
+                errors = errors || $5::jsonb, heartbeat_at = NOW()
+          WHERE id = $1;`,
+        [
+          job.id,
+          chunk.length,
+          chunk.length - failures.length,
+          failures.length,
+          JSON.stringify(failures.slice(0, Math.max(0, MAX_JOB_ERRORS - failed))),
+        ]
+      );
+      await client.query('COMMIT');
+      processed += chunk.length;
+      failed += failures.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Writes a catalog export, from one consistent snapshot, into a large object that becomes the job's output.
+ * The file is streamed into the large object as it is produced, so it is never held in memory as a whole.
+ * The export query keeps its connection busy until it ends, so the file is written over a second connection, whose
+ * transaction owns the new large object: an export that fails, is cancelled or is interrupted leaves nothing behind
+ * and starts over.
+ */
+const runExportJob = async (job) => {
+  const format = job.params.format || 'csv';
+  const client = await pool.connect();
+  const writer = await pool.connect();
   try {
-    const { id } = req.params;
-    const { name, description, price } = req.body;
-    const result = await pool.query(
-      'UPDATE items SET name=$1, description=$2, price=$3 WHERE id=$4 RETURNING *;',
-      [name, description, price, id]
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ;');
+    await writer.query('BEGIN');
+    const count = await client.query('SELECT COUNT(*) FROM items WHERE deleted_at IS NULL;');
+    const total = parseInt(count.rows[0].count, 10);
+    await pool.query('UPDATE jobs SET total = $2 WHERE id = $1;', [job.id, total]);
+    const created = await writer.query('SELECT lo_create(0) AS oid;');
+    const { oid } = created.rows[0];
+    let offset = 0;
+    await exportCatalog(client, format, async (source) => {
+      let pending = [];
+      let pendingBytes = 0;
+      const flush = async () => {
+        await writer.query('SELECT lo_put($1, $2, $3);', [oid, offset, Buffer.concat(pending)]);
+        offset += pendingBytes;
+        pending = [];
+        pendingBytes = 0;
+      };
+      for await (const chunk of source) {
+        const buffer = Buffer.from(chunk);
+        pending.push(buffer);
+        pendingBytes += buffer.length;
+        if (pendingBytes >= JOB_OUTPUT_CHUNK_BYTES) await flush();
+      }
+      if (pendingBytes) await flush();
+    });
+    await client.query('COMMIT');
+    const stored = await writer.query(
+      `UPDATE jobs SET output_oid = $2, output_type = $3, processed = total, succeeded = total
+        WHERE id = $1 AND NOT cancel_requested RETURNING id;`,
+      [job.id, oid, EXPORT_CONTENT_TYPES[format]]
     );
-    if (!result.rows.length) return res.status(404).json({ error: 'Item not found' });
-    res.json(result.rows[0]);
+    if (stored.rows.length) {
+      await writer.query('COMMIT');
+    } else {
+      await writer.query('ROLLBACK');
+      await pool.query("UPDATE jobs SET status = 'cancelled', finished_at = NOW() WHERE id = $1;", [job.id]);
+    }
   } catch (error) {
-    res.status(500).json({ error: 'Internal Server Error' });
+    await client.query('ROLLBACK');
+    await writer.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    writer.release();
   }
-});
+};
 
 /**
- * @swagger
- * /items/{id}:
- *   delete:
- *     summary: Delete an item.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: Item deleted.
- *       404:
- *         description: Item not found.
+ * Reads a job's output large object JOB_OUTPUT_CHUNK_BYTES at a time.
  */
-app.delete('/items/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM items WHERE id = $1 RETURNING *;', [id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'Item not found' });
-    res.json({ message: 'Item deleted' });
-  } catch (error) {
-    res.status(500).json({ error: 'Internal Server Error' });
+async function* readJobOutput(oid) {
+  for (let offset = 0; ; offset += JOB_OUTPUT_CHUNK_BYTES) {
+    const result = await pool.query('SELECT lo_get($1, $2, $3) AS data;', [oid, offset, JOB_OUTPUT_CHUNK_BYTES]);
+    const { data } = result.rows[0];
+    if (data.length) yield data;
+    if (data.length < JOB_OUTPUT_CHUNK_BYTES) return;
   }
+}
+
+/**
+ * Describes a job type whose params hold a list of batch entries, e.g. { items: [...] }.
+ * method is the HTTP method of the matching /items/batch route, for the audit log.
+ */
+const batchJobType = (field, description, method, operationFor) => ({
+  parse: (params) =>
+    Array.isArray(params[field]) ? { total: params[field].length } : { error: `params.${field} must be ${description}` },
+  run: (job) => runBatchJob(job, job.params[field], operationFor(job), method),
 });
 
 /**
- * @swagger
- * /users:
- *   get:
- *     summary: Retrieve a list of users.
- *     responses:
- *       200:
- *         description: A list of users.
+ * Job types. parse(params) checks the params of a submitted job and returns { error } or { total };
+ * run(job) does the work.
  */
-app.get('/users', async (req, res) => {
+const JOB_TYPES = {
+  'items.create': batchJobType('items', 'an array of items, as for POST /items/batch', 'POST', () => createItemEntry),
+  'items.update': batchJobType(
+    'updates',
+    'an array of item updates, as for PATCH /items/batch',
+    'PATCH',
+    (job) => updateItemEntry(job.created_by)
+  ),
+  'items.delete': batchJobType('ids', 'an array of item ids', 'DELETE', () => deleteItemEntry),
+  'items.export': {
+    parse: ({ format = 'csv' }) => (EXPORT_CONTENT_TYPES[format] ? { total: 0 } : { error: 'params.format must be csv or ndjson' }),
+    run: runExportJob,
+  },
+};
+
+/**
+ * Runs one claimed job to the end, keeping its heartbeat fresh, and records how it finished.
+ */
+const runJob = async (job) => {
+  const heartbeat = setInterval(() => {
+    pool
+      .query('UPDATE jobs SET heartbeat_at = NOW() WHERE id = $1;', [job.id])
+      .catch((error) => console.error(`Error updating heartbeat of job ${job.id}:`, error));
+  }, JOB_HEARTBEAT_SECONDS * 1000);
   try {
-    const result = await pool.query('SELECT * FROM users;');
-    res.json(result.rows);
+    await JOB_TYPES[job.type].run(job);
+    await pool.query("UPDATE jobs SET status = 'completed', finished_at = NOW() WHERE id = $1 AND status = 'running';", [job.id]);
   } catch (error) {
-    res.status(500).json({ error: 'Internal Server Error' });
+    console.error(`Job ${job.id} (${job.type}) failed:`, error);
+    await pool.query("UPDATE jobs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1;", [job.id, error.message]);
+  } finally {
+    clearInterval(heartbeat);
   }
-});
+};
+
+let jobWorkerRunning = false;
 
 /**
- * @swagger
- * /users/{id}:
- *   get:
- *     summary: Retrieve a user by ID.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: A user.
- *       404:
- *         description: User not found.
+ * Queues interrupted jobs again, then runs queued jobs one at a time until none are left.
+ * Jobs are claimed with SKIP LOCKED, so several Adapter API instances can share the queue.
  */
-app.get('/users/:id', async (req, res) => {
+const processJobs = async () => {
+  if (jobWorkerRunning) return;
+  jobWorkerRunning = true;
   try {
-    const { id } = req.params;
-    const result = await pool.query('SELECT * FROM users WHERE id = $1;', [id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
-    res.json(result.rows[0]);
-  } catch (error) {
-    res.status(500).json({ error: 'Internal Server Error' });
+    await pool.query(
+      `UPDATE jobs
+          SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'queued' END,
+              error = CASE WHEN attempts >= $2 THEN 'Job was interrupted too many times' ELSE error END,
+              finished_at = CASE WHEN attempts >= $2 THEN NOW() END
+        WHERE status = 'running' AND heartbeat_at < NOW() - make_interval(secs => $1);`,
+      [JOB_STALE_SECONDS, JOB_MAX_ATTEMPTS]
+    );
+    for (;;) {
+      const claimed = await pool.query(
+        `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = COALESCE(started_at, NOW()), heartbeat_at = NOW()
+          WHERE id = (SELECT id FROM jobs WHERE status = 'queued' ORDER BY id LIMIT 1 FOR UPDATE SKIP LOCKED)
+          RETURNING *;`
+      );
+      if (!claimed.rows.length) return;
+      await runJob(claimed.rows[0]);
+    }
+  } finally {
+    jobWorkerRunning = false;
   }
-});
+};
+
+const runJobWorker = () => processJobs().catch((error) => console.error('Error processing jobs:', error));
 
 /**
  * @swagger
- * /users:
+ * /jobs:
  *   post:
- *     summary: Create a new user.
+ *     summary: Submit a background job.
+ *     description: |
+ *       Queues a long-running bulk operation and returns at once. Jobs are kept in the jobs table, so they survive a
+ *       restart: a job that was running resumes after the entries it had already processed.
+ *       Types and their params:
+ *       - items.create: { items: [...] }, the body of POST /items/batch
+ *       - items.update: { updates: [...] }, the body of PATCH /items/batch (e.g. bulk price changes)
+ *       - items.delete: { ids: [...] }
+ *       - items.export: { format: "csv" | "ndjson" }; download the file from GET /jobs/{id}/output
+ *       Entries are applied as in mode=partial: failed entries are listed in the job's error report and the rest is applied.
+ *       As in PATCH /items/batch, items.update entries need a version when REQUIRE_IF_MATCH=true (428 otherwise).
+ *       Every item a job changes gets its own audit record, made by the job's creator with route /jobs/{id}.
  *     requestBody:
  *       required: true
  *       content:
@@ -515,101 +5936,87 @@ app.get('/users/:id', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - username
- *               - role
- *               - firstname
- *               - surname
- *               - password
+ *               - type
+ *               - params
  *             properties:
- *               username:
- *                 type: string
- *               role:
- *                 type: string
- *               firstname:
- *                 type: string
- *               surname:
- *                 type: string
- *               password:
+ *               type:
  *                 type: string
+ *                 enum: [items.create, items.update, items.delete, items.export]
+ *               params:
+ *                 type: object
+ *           example:
+ *             type: items.update
+ *             params:
+ *               updates:
+ *                 - id: 1
+ *                   price: 9.99
  *     responses:
- *       201:
- *         description: User created successfully.
+ *       202:
+ *         description: Job queued. The Location header points to the job.
  *       400:
- *         description: Missing or invalid fields.
- *       500:
- *         description: Internal server error.
+ *         description: Unknown job type or invalid params.
  */
-app.post('/users', async (req, res) => {
+app.post('/jobs', async (req, res) => {
+  const { type, params } = req.body || {};
+  const jobType = JOB_TYPES[type];
+  if (!jobType) return res.status(400).json({ error: `type must be one of ${Object.keys(JOB_TYPES).join(', ')}` });
+  if (params === null || typeof params !== 'object' || Array.isArray(params))
+    return res.status(400).json({ error: 'params must be an object' });
+  const parsed = jobType.parse(params);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
   try {
-    const { username, role, firstname, surname, password } = req.body;
-    if (!username || !role || !firstname || !surname || !password) {
-      return res.status(400).json({ error: 'Missing required fields.' });
-    }
     const result = await pool.query(
-      'INSERT INTO users (username, role, firstname, surname, password) VALUES ($1, $2, $3, $4, $5) RETURNING *;',
-      [username, role, firstname, surname, password]
+      `INSERT INTO jobs (type, params, total, created_by) VALUES ($1, $2, $3, $4) RETURNING ${JOB_COLUMNS};`,
+      [type, JSON.stringify(params), parsed.total, req.actor]
     );
-    res.status(201).json(result.rows[0]);
+    const job = result.rows[0];
+    res.set('Location', `/jobs/${job.id}`);
+    res.status(202).json(job);
+    runJobWorker();
   } catch (error) {
-    console.error(`Error creating user: ${error}`);
-    res.status(500).json({ error: `Error creating user: ${error}` });
+    console.error('Error creating job:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
 /**
  * @swagger
- * /users/{id}:
- *   put:
- *     summary: Update an existing user.
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get a job's status, progress and error report.
+ *     description: |
+ *       status is queued, running, completed, failed or cancelled. processed counts the entries done so far out of
+ *       total; succeeded and failed split them up, and errors lists up to 1000 failed entries as { index, status, id, error }.
+ *       error holds the reason a job failed as a whole.
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *               role:
- *                 type: string
- *               firstname:
- *                 type: string
- *               surname:
- *                 type: string
- *               password:
- *                 type: string
  *     responses:
  *       200:
- *         description: User updated.
+ *         description: The job.
  *       404:
- *         description: User not found.
+ *         description: Job not found.
  */
-app.put('/users/:id', async (req, res) => {
+app.get('/jobs/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { username, role, firstname, surname, password } = req.body;
-    const result = await pool.query(
-      'UPDATE users SET username=$1, role=$2, firstname=$3, surname=$4, password=$5 WHERE id=$6 RETURNING *;',
-      [username, role, firstname, surname, password, id]
-    );
-    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    const result = await pool.query(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = $1;`, [req.params.id]);
+    if (!result.rows.length) return res.status(404).json({ error: 'Job not found' });
     res.json(result.rows[0]);
   } catch (error) {
+    console.error('Error fetching job:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
 /**
  * @swagger
- * /users/{id}:
- *   delete:
- *     summary: Delete a user.
+ * /jobs/{id}/output:
+ *   get:
+ *     summary: Download the file produced by a job (e.g. an export).
  *     parameters:
  *       - in: path
  *         name: id
@@ -618,120 +6025,86 @@ app.put('/users/:id', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: User deleted.
+ *         description: The file.
  *       404:
- *         description: User not found.
- */
-app.delete('/users/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING *;', [id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
-    res.json({ message: 'User deleted' });
-  } catch (error) {
-    res.status(500).json({ error: 'Internal Server Error' });
-  }
-});
-
-/**
- * @swagger
- * /users/validate:
- *   post:
- *     summary: Validate user credentials.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *                 example: user
- *               password:
- *                 type: string
- *                 example: userpass
- *     responses:
- *       200:
- *         description: Credentials are valid.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                 username:
- *                   type: string
- *                 role:
- *                   type: string
- *                 token:
- *                   type: string
- *       401:
- *         description: Invalid credentials.
+ *         description: Job not found.
+ *       409:
+ *         description: The job has no output (yet).
  */
-app.post('/users/validate', async (req, res) => {
-  const { username, password } = req.body;
+app.get('/jobs/:id/output', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM users WHERE username = $1;', [username]);
-    if (!result.rows.length) return res.status(401).json({ error: 'Invalid credentials' });
-    const user = result.rows[0];
-    if (user.password !== password) return res.status(401).json({ error: 'Invalid credentials' });
-    const dynamicToken = generateDynamicToken(username);
-    res.json({ id: user.id, username: user.username, role: user.role, token: dynamicToken });
+    const result = await pool.query('SELECT output_oid, output_type FROM jobs WHERE id = $1;', [req.params.id]);
+    if (!result.rows.length) return res.status(404).json({ error: 'Job not found' });
+    const { output_oid: outputOid, output_type: outputType } = result.rows[0];
+    if (!outputType) return res.status(409).json({ error: 'Job has no output' });
+    const extension = Object.keys(EXPORT_CONTENT_TYPES).find((format) => EXPORT_CONTENT_TYPES[format] === outputType);
+    res.set('Content-Type', outputType);
+    res.set('Content-Disposition', `attachment; filename="job-${req.params.id}.${extension}"`);
+    await pipeline(Readable.from(readJobOutput(outputOid)), res);
   } catch (error) {
-    console.error('Error validating user:', error);
-    res.status(500).json({ error: 'Internal Server Error' });
+    console.error('Error fetching job output:', error);
+    // Once the file has started the status can no longer change, so cut the response short instead.
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
 /**
  * @swagger
- * /user/role:
- *   post:
- *     summary: Retrieve a user's role.
- *     description: Returns the role for the user specified by the username in the request body.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *             example:
- *               username: "jdoe123"
+ * /jobs/{id}:
+ *   delete:
+ *     summary: Cancel a job.
+ *     description: |
+ *       A queued job is cancelled at once. A running job stops after the chunk it is working on; entries that were
+ *       already applied stay applied.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: User role retrieved successfully.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 role:
- *                   type: string
- *             example:
- *               role: "admin"
+ *         description: The job, cancelled or with cancelRequested set.
  *       404:
- *         description: User not found.
- *       500:
- *         description: Internal Server Error.
+ *         description: Job not found.
+ *       409:
+ *         description: The job has already finished.
  */
-app.post('/user/role', async (req, res) => {
+app.delete('/jobs/:id', async (req, res) => {
   try {
-    const { username } = req.body;
-    const result = await pool.query('SELECT role FROM users WHERE username = $1;', [username]);
-    if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+    const { id } = req.params;
+    const result = await pool.query(
+      `UPDATE jobs
+          SET cancel_requested = TRUE,
+              status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+              finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END
+        WHERE id = $1 AND status IN ('queued', 'running')
+        RETURNING ${JOB_COLUMNS};`,
+      [id]
+    );
+    if (!result.rows.length) {
+      const existing = await pool.query('SELECT status FROM jobs WHERE id = $1;', [id]);
+      if (!existing.rows.length) return res.status(404).json({ error: 'Job not found' });
+      return res.status(409).json({ error: `Job has already finished (${existing.rows[0].status})` });
+    }
     res.json(result.rows[0]);
   } catch (error) {
+    console.error('Error cancelling job:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-
 app.listen(port, async () => {
   console.log(`Adapter API listening on http://localhost:${port}`);
   await initializeDatabase();
+
+  const runPriceScheduler = () =>
+    applyScheduledPrices().catch((error) => console.error('Error applying scheduled prices:', error));
+  runPriceScheduler();
+  setInterval(runPriceScheduler, PRICE_SCHEDULER_INTERVAL_SECONDS * 1000);
+
+  // Jobs left queued or running by a previous run are picked up here.
+  runJobWorker();
+  setInterval(runJobWorker, JOB_POLL_INTERVAL_SECONDS * 1000);
 });
@@ -4,6 +4,9 @@ const bodyParser = require('body-parser');
 const crypto = require('crypto');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const path = require('path');
+const { createNotifier } = require('./notifier');
+const { createStorage } = require('../shared/storage');
 
 const app = express();
 const port = 3000;
@@ -11,8 +14,65 @@ const port = 3000;
 app.use(bodyParser.json());
 
 const ADAPTER_API_URL = process.env.ADAPTER_API_URL || 'http://localhost:4000';
+
+// Service credential presented to the Adapter API on every call.
+const SERVICE_NAME = 'backend-api';
+const SERVICE_KEY = process.env.SERVICE_KEY || 'default_service_key';
+
+/**
+ * The path and query string axios puts on the wire for a request. axios parses the URL first (percent-encoding
+ * characters such as quotes in its query) and only then appends the params with its own serializer, which leaves
+ * e.g. an apostrophe as it is. Signing the result of another encoder would not match what the Adapter API receives.
+ */
+const requestPath = (config) => {
+  const { pathname, search } = new URL(config.url, config.baseURL);
+  return axios.getUri({ url: pathname + search, params: config.params, paramsSerializer: config.paramsSerializer });
+};
+
+/**
+ * Signs every outgoing request with this service's key (HMAC-SHA256).
+ * The signature covers the service name, a timestamp, the method, the path with query string and a hash of the JSON body.
+ */
+axios.interceptors.request.use((config) => {
+  if (config.data !== undefined && typeof config.data !== 'string') {
+    config.data = JSON.stringify(config.data);
+    config.headers['Content-Type'] = 'application/json';
+  }
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const bodyHash = crypto.createHash('sha256').update(config.data || '').digest('hex');
+  const signature = crypto
+    .createHmac('sha256', SERVICE_KEY)
+    .update([SERVICE_NAME, timestamp, config.method.toUpperCase(), requestPath(config), bodyHash].join('\n'))
+    .digest('hex');
+
+  config.headers['X-Service-Name'] = SERVICE_NAME;
+  config.headers['X-Service-Timestamp'] = timestamp;
+  config.headers['X-Service-Signature'] = signature;
+  return config;
+});
 global.checkoutCompleted = {};
 
+const notifier = createNotifier();
+const OUTBOX_ENABLED = process.env.OUTBOX_ENABLED === 'true';
+
+// Item images are uploaded through the Management API and served from the same storage by GET /media/{key}.
+const storage = createStorage();
+const MEDIA_BASE_URL = process.env.MEDIA_BASE_URL;
+
+const mediaUrl = (req, key) => `${MEDIA_BASE_URL || `${req.protocol}://${req.get('host')}`}/media/${key}`;
+
+/**
+ * Replaces the storage keys of an item's images with URLs for the image and its thumbnail.
+ */
+const withImageUrls = (req, item) => ({
+  ...item,
+  images: (item.images || []).map(({ storageKey, thumbnailKey, ...image }) => ({
+    ...image,
+    url: mediaUrl(req, storageKey),
+    thumbnailUrl: mediaUrl(req, thumbnailKey)
+  }))
+});
+
 const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const username = req.headers['x-user'];
@@ -29,9 +89,10 @@ const authMiddleware = async (req, res, next) => {
 
     if (response.data.valid) {
       req.username = username;
+      req.token = providedToken;
       next();
     } else {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+      return res.status(401).json({ error: 'Invalid or expired token' });
     }
   } catch (error) {
     return res.status(500).json({ error: 'Internal server error', message: error.message });
@@ -113,123 +174,803 @@ app.post('/register', async (req, res) => {
     res.status(response.status).json(response.data);
 
   } catch (error) {
-    res.status(500).json({ error: 'Internal server error', message: error.response.data });
+    res.status(500).json({ error: 'Internal server error', message: error.response.data });
+  }
+});
+
+/**
+ * @swagger
+ * /login:
+ *   post:
+ *     summary: Login to the storefront.
+ *     description: Authenticate with username and password to receive a short-lived access token and a refresh token.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: user
+ *               password:
+ *                 type: string
+ *                 example: userpass
+ *     responses:
+ *       200:
+ *         description: Successful login returns a signed access token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   example: "eyJhbGciOiJIUzI1NiIs..."
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Token lifetime in seconds.
+ *                   example: 900
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /token/refresh.
+ *                 refreshExpiresIn:
+ *                   type: integer
+ *                   description: Refresh token lifetime in seconds.
+ *                   example: 604800
+ *       400:
+ *         description: Username or password missing.
+ *       401:
+ *         description: Invalid credentials.
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts. See the Retry-After header.
+ *       429:
+ *         description: Too many failed attempts from this address or too soon after the last failure. See the Retry-After header.
+ *       500:
+ *         description: Internal server error.
+ */
+app.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password)
+      return res.status(400).json({ error: 'Username and password are required' });
+    const response = await axios.post(`${ADAPTER_API_URL}/users/validate`, { username, password, clientIp: req.ip });
+    const { token, expiresIn, refreshToken, refreshExpiresIn } = response.data;
+    res.json({ token, expiresIn, refreshToken, refreshExpiresIn });
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 401)
+        return res.status(401).json({ error: 'Invalid credentials' });
+      if (error.response.status === 423 || error.response.status === 429) {
+        const { retryAfter } = error.response.data;
+        res.set('Retry-After', String(retryAfter));
+        return res.status(error.response.status).json({ error: error.response.data.error, retryAfter });
+      }
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error validating credentials'
+      });
+    }
+    res.status(500).json({ error: 'Internal server error during login' });
+  }
+});
+
+/**
+ * @swagger
+ * /token/refresh:
+ *   post:
+ *     summary: Refresh the access token.
+ *     description: |
+ *       Exchanges a refresh token for a new access token and a new refresh token.
+ *       Each refresh token can only be used once; reusing one revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A new token pair.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshExpiresIn:
+ *                   type: integer
+ *       400:
+ *         description: Refresh token missing.
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused.
+ *       500:
+ *         description: Internal server error.
+ */
+app.post('/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken)
+      return res.status(400).json({ error: 'Refresh token is required' });
+    const response = await axios.post(`${ADAPTER_API_URL}/tokens/refresh`, { refreshToken });
+    res.json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error refreshing token'
+      });
+    }
+    res.status(500).json({ error: 'Internal server error during token refresh' });
+  }
+});
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Logout from the storefront.
+ *     description: Requires authentication. Revokes the access token used for this request and its refresh token.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     responses:
+ *       200:
+ *         description: Logged out, the token can no longer be used.
+ *       401:
+ *         description: Missing or invalid authentication.
+ *       500:
+ *         description: Internal server error.
+ */
+app.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await axios.post(`${ADAPTER_API_URL}/tokens/revoke`, { token: req.token });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error revoking token'
+      });
+    }
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
+/**
+ * @swagger
+ * /password/forgot:
+ *   post:
+ *     summary: Request a password reset.
+ *     description: |
+ *       Sends a single-use password reset token to the user through the configured notifier.
+ *       The response is the same whether or not the account exists.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request accepted.
+ *       400:
+ *         description: Username missing.
+ *       500:
+ *         description: Internal server error.
+ */
+app.post('/password/forgot', async (req, res) => {
+  const { username } = req.body;
+  if (!username)
+    return res.status(400).json({ error: 'Username is required' });
+
+  try {
+    const response = await axios.post(`${ADAPTER_API_URL}/password-resets`, { username });
+    const { token, expiresAt } = response.data;
+    await notifier.send({
+      to: username,
+      subject: 'Password reset',
+      text: `Use this token with POST /password/reset to choose a new password: ${token}\nIt expires at ${expiresAt} and can only be used once.`
+    });
+  } catch (error) {
+    if (!error.response || error.response.status !== 404) {
+      console.error('Error requesting password reset:', error.message);
+      return res.status(500).json({ error: 'Internal server error requesting password reset' });
+    }
+  }
+  res.json({ message: 'If the account exists, a password reset message has been sent' });
+});
+
+/**
+ * @swagger
+ * /password/reset:
+ *   post:
+ *     summary: Reset a password.
+ *     description: Sets a new password using a token from /password/forgot. All existing sessions of the user are logged out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset.
+ *       400:
+ *         description: Missing fields, or the token is invalid, expired or already used.
+ *       500:
+ *         description: Internal server error.
+ */
+app.post('/password/reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword)
+      return res.status(400).json({ error: 'Token and new password are required' });
+    const response = await axios.post(`${ADAPTER_API_URL}/password-resets/confirm`, { token, newPassword });
+    res.json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error resetting password'
+      });
+    }
+    res.status(500).json({ error: 'Internal server error resetting password' });
+  }
+});
+
+/**
+ * @swagger
+ * /outbox:
+ *   get:
+ *     summary: Read messages sent by the in-memory notifier.
+ *     description: |
+ *       Testing aid. Only available when OUTBOX_ENABLED=true and NOTIFIER=outbox; otherwise returns 404.
+ *       It is unauthenticated and returns password reset links, so only enable it in test setups
+ *       (docker-compose-mock.yml), never in production.
+ *     parameters:
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Only messages sent to this username.
+ *     responses:
+ *       200:
+ *         description: Sent messages, oldest first.
+ *       404:
+ *         description: Outbox not enabled.
+ */
+app.get('/outbox', (req, res) => {
+  if (!OUTBOX_ENABLED || !notifier.messages)
+    return res.status(404).json({ error: 'Endpoint Not Found' });
+  res.json(notifier.messages(req.query.to));
+});
+
+/**
+ * @swagger
+ * /me:
+ *   get:
+ *     summary: Get your own profile.
+ *     description: Requires authentication. Returns the profile of the user identified by the token.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     responses:
+ *       200:
+ *         description: The user's profile.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 username:
+ *                   type: string
+ *                 firstname:
+ *                   type: string
+ *                 surname:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *       401:
+ *         description: Missing or invalid authentication.
+ *       500:
+ *         description: Internal server error.
+ */
+app.get('/me', authMiddleware, async (req, res) => {
+  try {
+    const response = await axios.get(`${ADAPTER_API_URL}/accounts/${encodeURIComponent(req.username)}`);
+    res.json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error fetching profile'
+      });
+    }
+    res.status(500).json({ error: 'Internal server error fetching profile' });
+  }
+});
+
+/**
+ * @swagger
+ * /me:
+ *   patch:
+ *     summary: Update your own profile.
+ *     description: Requires authentication. Only firstname and surname can be changed; fields that are not sent stay unchanged.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstname:
+ *                 type: string
+ *               surname:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated profile.
+ *       400:
+ *         description: No fields to update, a field that cannot be changed, or an invalid value.
+ *       401:
+ *         description: Missing or invalid authentication.
+ *       500:
+ *         description: Internal server error.
+ */
+app.patch('/me', authMiddleware, async (req, res) => {
+  try {
+    const response = await axios.patch(`${ADAPTER_API_URL}/accounts/${encodeURIComponent(req.username)}`, req.body);
+    res.json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error updating profile'
+      });
+    }
+    res.status(500).json({ error: 'Internal server error updating profile' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/password:
+ *   post:
+ *     summary: Change your own password.
+ *     description: |
+ *       Requires authentication and the current password. Wrong current passwords are throttled like failed
+ *       logins. After the change every other session is logged out; the one making the change stays signed in.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed.
+ *       400:
+ *         description: Current or new password missing.
+ *       401:
+ *         description: Missing or invalid authentication.
+ *       403:
+ *         description: Current password is incorrect.
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts. See the Retry-After header.
+ *       429:
+ *         description: Too many failed attempts; try again after Retry-After seconds.
+ *       500:
+ *         description: Internal server error.
+ */
+app.post('/me/password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword)
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    const response = await axios.post(`${ADAPTER_API_URL}/accounts/${encodeURIComponent(req.username)}/password`, {
+      currentPassword,
+      newPassword,
+      token: req.token,
+      clientIp: req.ip
+    });
+    res.json(response.data);
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 423 || error.response.status === 429) {
+        const { retryAfter } = error.response.data;
+        res.set('Retry-After', String(retryAfter));
+        return res.status(error.response.status).json({ error: error.response.data.error, retryAfter });
+      }
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error changing password'
+      });
+    }
+    res.status(500).json({ error: 'Internal server error changing password' });
+  }
+});
+
+/**
+ * @swagger
+ * /items:
+ *   get:
+ *     summary: Retrieve a paginated list of items.
+ *     description: |
+ *       Retrieves items by forwarding paging, filter and sort parameters to the Adapter API.
+ *       Each item includes its customer rating: averageRating (null without reviews) and reviewCount.
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: The page number to retrieve.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of items per page (max 1000).
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Only items costing at least this much.
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Only items costing at most this much.
+ *       - in: query
+ *         name: nameContains
+ *         schema:
+ *           type: string
+ *         description: Only items whose name contains this text (case-insensitive).
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: integer
+ *         description: Only items in this category or any of its subcategories.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, name, price]
+ *         description: The field to sort by (default id).
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: The sort direction (default asc).
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *         description: Pagination mode (default page). Use cursor for fast scans over large catalogs.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The next or prev cursor from a previous cursor-mode response.
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: In cursor mode, also return the total number of matching items.
+ *     responses:
+ *       200:
+ *         description: A paginated list of items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                 page:
+ *                   type: integer
+ *                   description: Page mode only.
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor mode only.
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor mode only.
+ *       400:
+ *         description: Invalid filter, sort, cursor, page or limit parameter (page and limit must be positive integers).
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items', async (req, res) => {
+  try {
+    const { page, limit, minPrice, maxPrice, nameContains, category, sort, order, pagination, cursor, includeTotal } = req.query;
+    const response = await axios.get(`${ADAPTER_API_URL}/items`, {
+      params: { page, limit, minPrice, maxPrice, nameContains, category, sort, order, pagination, cursor, includeTotal }
+    });
+    res.json({ ...response.data, items: response.data.items.map(item => withImageUrls(req, item)) });
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error fetching items'
+      });
+    }
+    res.status(500).json({ error: 'Internal Server Error fetching items' });
+  }
+});
+
+/**
+ * @swagger
+ * /items/search:
+ *   get:
+ *     summary: Search the catalog.
+ *     description: |
+ *       Full-text search over item names and descriptions, e.g. "granite" or "ergonomic chair".
+ *       Supports "quoted phrases", OR and -excluded words. Results are ranked by relevance and include
+ *       highlighted snippets (HTML-escaped text with the matches wrapped in <mark> tags), using the same
+ *       page/limit envelope as /items.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The search query.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: The page number to retrieve.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of items per page (max 1000).
+ *     responses:
+ *       200:
+ *         description: A paginated, ranked list of matching items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Search query missing, or page or limit is not a positive integer.
+ *       500:
+ *         description: Internal Server Error.
+ */
+app.get('/items/search', async (req, res) => {
+  try {
+    const { q, page, limit } = req.query;
+    if (!q)
+      return res.status(400).json({ error: 'Search query "q" is required' });
+    const response = await axios.get(`${ADAPTER_API_URL}/items/search`, { params: { q, page, limit } });
+    res.json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error searching items'
+      });
+    }
+    res.status(500).json({ error: 'Internal Server Error searching items' });
   }
 });
 
 /**
  * @swagger
- * /login:
- *   post:
- *     summary: Login to the storefront.
- *     description: Authenticate with username and password to receive an access token.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *                 example: user
- *               password:
- *                 type: string
- *                 example: userpass
+ * /items/{id}:
+ *   get:
+ *     summary: Get item details.
+ *     description: |
+ *       Retrieve details for a specific item by its ID, including its images, categories and variants.
+ *       Variants (e.g. sizes and colours) each have a SKU, attributes, price and stock; add one to the cart
+ *       with POST /cart and its variantId.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the item.
  *     responses:
  *       200:
- *         description: Successful login returns a dynamic token.
+ *         description: Details of the item.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 token:
+ *                 id:
+ *                   type: integer
+ *                 name:
  *                   type: string
- *                   example: "a4c7e5..."
- *       400:
- *         description: Username or password missing.
- *       401:
- *         description: Invalid credentials.
+ *                 price:
+ *                   type: number
+ *                 stock:
+ *                   type: integer
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       sku:
+ *                         type: string
+ *                         example: PANTS-00005-NVY-M
+ *                       attributes:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: string
+ *                         example: { "size": "M", "colour": "Navy" }
+ *                       price:
+ *                         type: number
+ *                         description: The variant's price (its own, or else the item's).
+ *                       stock:
+ *                         type: integer
+ *       404:
+ *         description: Item not found.
  *       500:
- *         description: Internal server error.
+ *         description: Error fetching item details.
  */
-app.post('/login', async (req, res) => {
+app.get('/items/:id', async (req, res) => {
   try {
-    const { username, password } = req.body;
-    if (!username || !password)
-      return res.status(400).json({ error: 'Username and password are required' });
-    const response = await axios.post(`${ADAPTER_API_URL}/users/validate`, { username, password });
-    res.json({ token: response.data.token });
+    const { id } = req.params;
+    const response = await axios.get(`${ADAPTER_API_URL}/items/${id}`);
+    res.json(withImageUrls(req, response.data));
   } catch (error) {
     if (error.response) {
-      if (error.response.status === 401)
-        return res.status(401).json({ error: 'Invalid credentials' });
+      if (error.response.status === 404)
+        return res.status(404).json({ error: 'Item not found' });
       return res.status(error.response.status).json({
-        error: error.response.data.error || 'Error validating credentials'
+        error: error.response.data.error || 'Error fetching item details'
       });
     }
-    res.status(500).json({ error: 'Internal server error during login' });
+    res.status(500).json({ error: 'Internal server error fetching item details' });
   }
 });
 
 /**
  * @swagger
- * /items:
+ * /items/{id}/reviews:
  *   get:
- *     summary: Retrieve a paginated list of items.
- *     description: Retrieves items by forwarding paging parameters ("page" and "limit") to the Adapter API.
+ *     summary: Get an item's reviews.
+ *     description: |
+ *       Newest first, with the item's averageRating and the total number of reviews. Reviews by customers
+ *       who have paid for the item carry verifiedPurchase: true.
  *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the item.
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
- *         description: The page number to retrieve.
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *         description: The number of items per page (max 1000).
+ *         description: The number of reviews per page (max 100).
  *     responses:
  *       200:
- *         description: A paginated list of items.
+ *         description: A page of reviews.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 items:
+ *                 reviews:
  *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       rating:
+ *                         type: integer
+ *                       text:
+ *                         type: string
+ *                       author:
+ *                         type: string
+ *                         example: John D.
+ *                       verifiedPurchase:
+ *                         type: boolean
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
  *                 page:
  *                   type: integer
  *                 limit:
  *                   type: integer
  *                 total:
  *                   type: integer
+ *                 averageRating:
+ *                   type: number
+ *                   nullable: true
+ *       400:
+ *         description: page or limit is not a positive integer.
+ *       404:
+ *         description: Item not found.
  *       500:
- *         description: Internal Server Error.
+ *         description: Error fetching reviews.
  */
-app.get('/items', async (req, res) => {
+app.get('/items/:id/reviews', async (req, res) => {
   try {
+    const { id } = req.params;
     const { page, limit } = req.query;
-    const response = await axios.get(`${ADAPTER_API_URL}/items`, { params: { page, limit } });
+    const response = await axios.get(`${ADAPTER_API_URL}/items/${id}/reviews`, { params: { page, limit } });
     res.json(response.data);
   } catch (error) {
     if (error.response) {
+      if (error.response.status === 404)
+        return res.status(404).json({ error: 'Item not found' });
       return res.status(error.response.status).json({
-        error: error.response.data.error || 'Error fetching items'
+        error: error.response.data.error || 'Error fetching reviews'
       });
     }
-    res.status(500).json({ error: 'Internal Server Error fetching items' });
+    res.status(500).json({ error: 'Internal server error fetching reviews' });
   }
 });
 
 /**
  * @swagger
- * /items/{id}:
- *   get:
- *     summary: Get item details.
- *     description: Retrieve details for a specific item by its ID.
+ * /items/{id}/reviews:
+ *   post:
+ *     summary: Review an item.
+ *     description: Requires authentication. Each customer can review an item once; the review is shown right away.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -237,28 +978,225 @@ app.get('/items', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The ID of the item.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 4
+ *               text:
+ *                 type: string
+ *                 example: Comfortable, but runs a little small.
  *     responses:
- *       200:
- *         description: Details of the item.
+ *       201:
+ *         description: Review created.
+ *       400:
+ *         description: Rating is not a whole number from 1 to 5, or text is missing or too long.
+ *       401:
+ *         description: Missing or invalid authentication.
  *       404:
  *         description: Item not found.
+ *       409:
+ *         description: You have already reviewed this item.
  *       500:
- *         description: Error fetching item details.
+ *         description: Error creating review.
  */
-app.get('/items/:id', async (req, res) => {
+app.post('/items/:id/reviews', authMiddleware, async (req, res) => {
+  let { rating, text } = req.body;
+
+  if (typeof rating === 'string' && !isNaN(rating)) {
+    rating = Number(rating);
+  }
+
   try {
     const { id } = req.params;
-    const response = await axios.get(`${ADAPTER_API_URL}/items/${id}`);
+    const response = await axios.post(`${ADAPTER_API_URL}/items/${id}/reviews`, { username: req.username, rating, text });
+    res.status(201).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error creating review'
+      });
+    }
+    console.error('Error creating review:', error.message);
+    res.status(500).json({ error: 'Internal server error creating review' });
+  }
+});
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Get all categories.
+ *     description: Returns a flat list of categories; parentId links each one to its parent (null for top-level departments).
+ *     responses:
+ *       200:
+ *         description: A list of categories.
+ *       500:
+ *         description: Error fetching categories.
+ */
+app.get('/categories', async (req, res) => {
+  try {
+    const response = await axios.get(`${ADAPTER_API_URL}/categories`);
+    res.json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error fetching categories'
+      });
+    }
+    res.status(500).json({ error: 'Internal Server Error fetching categories' });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     summary: Get category details.
+ *     description: Includes the breadcrumb path of parent categories and the direct subcategories.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the category.
+ *     responses:
+ *       200:
+ *         description: Details of the category.
+ *       404:
+ *         description: Category not found.
+ *       500:
+ *         description: Error fetching category details.
+ */
+app.get('/categories/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const response = await axios.get(`${ADAPTER_API_URL}/categories/${id}`);
     res.json(response.data);
   } catch (error) {
     if (error.response) {
       if (error.response.status === 404)
-        return res.status(404).json({ error: 'Item not found' });
+        return res.status(404).json({ error: 'Category not found' });
       return res.status(error.response.status).json({
-        error: error.response.data.error || 'Error fetching item details'
+        error: error.response.data.error || 'Error fetching category details'
       });
     }
-    res.status(500).json({ error: 'Internal server error fetching item details' });
+    res.status(500).json({ error: 'Internal server error fetching category details' });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}/items:
+ *   get:
+ *     summary: Get the items in a category.
+ *     description: |
+ *       Lists the items in a category and all of its subcategories. Accepts the same filter, sort and
+ *       pagination parameters as /items and returns the same envelope.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the category.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, name, price]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: A paginated list of items.
+ *       400:
+ *         description: Invalid filter, sort, cursor, page or limit parameter (page and limit must be positive integers).
+ *       404:
+ *         description: Category not found.
+ *       500:
+ *         description: Error fetching items.
+ */
+app.get('/categories/:id/items', async (req, res) => {
+  try {
+    const { id } = req.params;
+    await axios.get(`${ADAPTER_API_URL}/categories/${id}`);
+    const { page, limit, minPrice, maxPrice, nameContains, sort, order, pagination, cursor, includeTotal } = req.query;
+    const response = await axios.get(`${ADAPTER_API_URL}/items`, {
+      params: { page, limit, minPrice, maxPrice, nameContains, category: id, sort, order, pagination, cursor, includeTotal }
+    });
+    res.json({ ...response.data, items: response.data.items.map(item => withImageUrls(req, item)) });
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 404)
+        return res.status(404).json({ error: 'Category not found' });
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error fetching items'
+      });
+    }
+    res.status(500).json({ error: 'Internal Server Error fetching items' });
+  }
+});
+
+/**
+ * @swagger
+ * /media/{key}:
+ *   get:
+ *     summary: Get an item image or thumbnail.
+ *     description: Serves the files behind the url and thumbnailUrl of item images. Files never change, so they may be cached indefinitely.
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The storage key, e.g. items/42/3f2a9c1e-....jpg.
+ *     responses:
+ *       200:
+ *         description: The image file.
+ *       404:
+ *         description: Image not found.
+ *       500:
+ *         description: Error reading image.
+ */
+app.get('/media/*', async (req, res) => {
+  const key = req.params[0];
+  try {
+    const file = await storage.stat(key);
+    if (!file) return res.status(404).json({ error: 'Image not found' });
+    res.type(path.extname(key));
+    res.set('Content-Length', String(file.size));
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    storage.createReadStream(key)
+      .on('error', (error) => {
+        console.error('Error streaming media file:', error.message);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    if (error.code === 'INVALID_STORAGE_KEY')
+      return res.status(404).json({ error: 'Image not found' });
+    console.error('Error reading media file:', error.message);
+    res.status(500).json({ error: 'Internal server error reading image' });
   }
 });
 
@@ -267,7 +1205,10 @@ app.get('/items/:id', async (req, res) => {
  * /cart:
  *   post:
  *     summary: Add an item to the cart.
- *     description: Requires authentication. Validates item existence before adding.
+ *     description: |
+ *       Requires authentication. Validates item existence before adding, and refuses to hold more of an
+ *       item (including what is already in the cart) than is in stock. Items that have variants (see
+ *       GET /items/{id}) must be added by variantId, and each variant is a separate cart line with its own stock.
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
@@ -281,6 +1222,9 @@ app.get('/items/:id', async (req, res) => {
  *               itemId:
  *                 type: integer
  *                 example: 1
+ *               variantId:
+ *                 type: integer
+ *                 description: The variant to add; required when the item has variants.
  *               quantity:
  *                 type: integer
  *                 example: 2
@@ -288,21 +1232,27 @@ app.get('/items/:id', async (req, res) => {
  *       200:
  *         description: Item added successfully.
  *       400:
- *         description: Invalid or missing parameters.
+ *         description: Invalid or missing parameters, or a variantId is needed for this item.
  *       404:
- *         description: Item not found.
+ *         description: Item or variant not found.
  *       401:
  *         description: Unauthorized request.
+ *       409:
+ *         description: Not enough stock; the response includes the available quantity.
  *       500:
  *         description: Server error.
  */
 app.post('/cart', authMiddleware, async (req, res) => {
-  let { itemId, quantity } = req.body;
+  let { itemId, variantId = null, quantity } = req.body;
 
   if (typeof itemId === 'string' && !isNaN(itemId)) {
     itemId = parseInt(itemId, 10);
   }
 
+  if (typeof variantId === 'string' && !isNaN(variantId)) {
+    variantId = parseInt(variantId, 10);
+  }
+
   if (typeof quantity === 'string' && !isNaN(quantity)) {
     quantity = parseInt(quantity, 10);
   }
@@ -316,6 +1266,9 @@ app.post('/cart', authMiddleware, async (req, res) => {
   if (!Number.isInteger(quantity) || quantity <= 0) {
     return res.status(400).json({ error: 'Invalid quantity, must be a positive integer' });
   }
+  if (variantId !== null && (!Number.isInteger(variantId) || variantId <= 0)) {
+    return res.status(400).json({ error: 'Invalid variant ID, must be a positive integer' });
+  }
 
   try {
     const itemResponse = await axios.get(`${ADAPTER_API_URL}/items/${itemId}`);
@@ -324,20 +1277,38 @@ app.post('/cart', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Item not found' });
     }
 
+    // Items with variants are stocked per variant, so the cart must say which one
+    const variants = itemResponse.data.variants || [];
+    const variant = variantId !== null ? variants.find(candidate => candidate.id === variantId) : null;
+    if (variantId !== null && !variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+    if (variantId === null && variants.length) {
+      return res.status(400).json({ error: 'This item comes in variants; choose one with variantId' });
+    }
+
     global.carts = global.carts || {};
     global.carts[req.username] = global.carts[req.username] || [];
     
-    // Check if item already exists in cart
+    // Check if item (or variant) already exists in cart
     const existingItemIndex = global.carts[req.username].findIndex(
-      item => Number(item.itemId) === itemId
+      item => Number(item.itemId) === itemId && (item.variantId || null) === variantId
     );
 
+    const inCart = existingItemIndex !== -1 ? global.carts[req.username][existingItemIndex].quantity : 0;
+    const available = variant ? variant.stock : itemResponse.data.stock;
+    if (inCart + quantity > available) {
+      return res.status(409).json({
+        error: 'Not enough stock', itemId, ...(variant && { variantId }), available, inCart
+      });
+    }
+
     if (existingItemIndex !== -1) {
       // Update quantity if item already exists
       global.carts[req.username][existingItemIndex].quantity += quantity;
     } else {
       // Add new item if it doesn't exist
-      global.carts[req.username].push({ itemId, quantity });
+      global.carts[req.username].push(variant ? { itemId, variantId, quantity } : { itemId, quantity });
     }
 
     res.json({ message: 'Item added to cart', cart: global.carts[req.username] });
@@ -373,6 +1344,9 @@ app.post('/cart', authMiddleware, async (req, res) => {
  *                   itemId:
  *                     type: string
  *                     description: The ID of the item.
+ *                   variantId:
+ *                     type: integer
+ *                     description: The ID of the variant, for items added by variant.
  *                   quantity:
  *                     type: integer
  *                     description: The quantity of the item.
@@ -386,6 +1360,7 @@ app.get('/cart/items', authMiddleware, (req, res) => {
 
   const parsedCart = cart.map(item => ({
     itemId: parseInt(item.itemId, 10),
+    ...(item.variantId && { variantId: item.variantId }),
     quantity: parseInt(item.quantity, 10)
   }));
 
@@ -411,6 +1386,9 @@ app.get('/cart/items', authMiddleware, (req, res) => {
  *               itemId:
  *                 type: string
  *                 description: The ID of the item to delete.
+ *               variantId:
+ *                 type: integer
+ *                 description: The variant to delete, for lines added by variant.
  *     responses:
  *       200:
  *         description: Item deleted from the cart.
@@ -422,19 +1400,27 @@ app.get('/cart/items', authMiddleware, (req, res) => {
  *         description: Internal server error.
  */
 app.delete('/cart/items', authMiddleware, (req, res) => {
-  let { itemId } = req.body;
+  let { itemId, variantId = null } = req.body;
 
   if (typeof itemId === 'string' && !isNaN(itemId)) {
       itemId = parseInt(itemId, 10);
   }
 
+  if (typeof variantId === 'string' && !isNaN(variantId)) {
+      variantId = parseInt(variantId, 10);
+  }
+
   if (!Number.isInteger(itemId) || itemId <= 0) {
       return res.status(400).json({ error: 'Invalid item ID, must be a positive integer' });
   }
 
+  if (variantId !== null && (!Number.isInteger(variantId) || variantId <= 0)) {
+      return res.status(400).json({ error: 'Invalid variant ID, must be a positive integer' });
+  }
+
   const cart = global.carts[req.username] || [];
   
-  const itemIndex = cart.findIndex(item => Number(item.itemId) === itemId);
+  const itemIndex = cart.findIndex(item => Number(item.itemId) === itemId && (item.variantId || null) === variantId);
 
   if (itemIndex === -1) {
       return res.status(400).json({ error: 'Item not found in the cart' });
@@ -453,7 +1439,9 @@ app.delete('/cart/items', authMiddleware, (req, res) => {
  * /checkout:
  *   post:
  *     summary: Checkout the shopping cart.
- *     description: Requires authentication. Processes checkout and and prepares for payment.
+ *     description: |
+ *       Requires authentication. Takes the stock for every cart line in one transaction and prepares for payment.
+ *       If any line can no longer be fulfilled, no stock is taken, the cart is kept and the failing lines are returned.
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
@@ -464,15 +1452,58 @@ app.delete('/cart/items', authMiddleware, (req, res) => {
  *         description: Cart is empty.
  *       401:
  *         description: Missing or invalid authentication.
+ *       409:
+ *         description: Not enough stock for some cart lines.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 failedLines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       itemId:
+ *                         type: integer
+ *                       variantId:
+ *                         type: integer
+ *                       requested:
+ *                         type: integer
+ *                       available:
+ *                         type: integer
+ *                       reason:
+ *                         type: string
  *       500:
  *         description: Internal server error.
  */
-app.post('/checkout', authMiddleware, (req, res) => {
+app.post('/checkout', authMiddleware, async (req, res) => {
   if (!global.carts || !global.carts[req.username] || global.carts[req.username].length === 0)
     return res.status(400).json({ error: 'Cart is empty' });
-  global.carts[req.username] = [];
-  global.checkoutCompleted[req.username] = true;
-  res.json({ message: 'Checkout successful. Ready for payment.' });
+
+  try {
+    const lines = global.carts[req.username].map(item => ({
+      itemId: parseInt(item.itemId, 10),
+      variantId: item.variantId || null,
+      quantity: parseInt(item.quantity, 10)
+    }));
+    await axios.post(`${ADAPTER_API_URL}/inventory/checkout`, { lines });
+    global.carts[req.username] = [];
+    // Kept until payment, when the lines are recorded as purchases
+    global.checkoutCompleted[req.username] = lines;
+    res.json({ message: 'Checkout successful. Ready for payment.' });
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: error.response.data.error || 'Error during checkout',
+        ...(error.response.data.failedLines && { failedLines: error.response.data.failedLines })
+      });
+    }
+    console.error('Error during checkout:', error.message);
+    res.status(500).json({ error: 'Internal server error during checkout' });
+  }
 });
 
 /**
@@ -480,7 +1511,9 @@ app.post('/checkout', authMiddleware, (req, res) => {
  * /payment:
  *   post:
  *     summary: Process a payment.
- *     description: Requires authentication.
+ *     description: |
+ *       Requires authentication. The items paid for are recorded as purchases, so the customer's reviews
+ *       of them show as verified purchases.
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
@@ -494,13 +1527,21 @@ app.post('/checkout', authMiddleware, (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-app.post('/payment', authMiddleware, (req, res) => {
-  if (!global.checkoutCompleted[req.username]) {
+app.post('/payment', authMiddleware, async (req, res) => {
+  const lines = global.checkoutCompleted[req.username];
+  if (!lines) {
     return res.status(400).json({ error: 'Checkout not completed' });
   }
 
   // Process payment logic here
   global.checkoutCompleted[req.username] = false; // Reset checkout flag after payment
+
+  // The payment has gone through either way; a purchase that fails to record only loses its review badge
+  try {
+    await axios.post(`${ADAPTER_API_URL}/purchases`, { username: req.username, lines });
+  } catch (error) {
+    console.error('Error recording purchases:', error.message);
+  }
   res.json({ message: 'Payment successful' });
 });
 
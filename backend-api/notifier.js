@@ -0,0 +1,56 @@
+const fs = require('fs').promises;
+
+/**
+ * Notifiers deliver messages to users. Every notifier exposes:
+ *   send({ to, subject, text }) - delivers one message (async).
+ * No real mail server is needed: the default file notifier appends messages to a local NDJSON file,
+ * the outbox notifier keeps them in memory for tests. Other transports (e.g. SMTP) can be added to createNotifier.
+ */
+
+/**
+ * Keeps sent messages in memory so tests can read them back.
+ */
+const createOutboxNotifier = () => {
+  const outbox = [];
+  return {
+    type: 'outbox',
+    send: async ({ to, subject, text }) => {
+      outbox.push({ to, subject, text, sentAt: new Date().toISOString() });
+    },
+    messages: (to) => (to ? outbox.filter((message) => message.to === to) : [...outbox]),
+    clear: () => {
+      outbox.length = 0;
+    },
+  };
+};
+
+/**
+ * Appends each message as one JSON line to a local file.
+ */
+const createFileNotifier = (filePath) => ({
+  type: 'file',
+  send: async ({ to, subject, text }) => {
+    const line = JSON.stringify({ to, subject, text, sentAt: new Date().toISOString() });
+    await fs.appendFile(filePath, `${line}\n`, 'utf8');
+  },
+});
+
+/**
+ * Creates the notifier selected by the NOTIFIER environment variable ("file" by default, or "outbox").
+ */
+const createNotifier = (type = process.env.NOTIFIER || 'file') => {
+  switch (type) {
+    case 'outbox':
+      return createOutboxNotifier();
+    case 'file':
+      return createFileNotifier(process.env.NOTIFIER_FILE || '/tmp/outbox.ndjson');
+    default:
+      throw new Error(`Unknown notifier type: ${type}`);
+  }
+};
+
+module.exports = {
+  createNotifier,
+  createOutboxNotifier,
+  createFileNotifier,
+};
@@ -4,27 +4,114 @@ const { faker } = require("@faker-js/faker");
 // Number of items to generate
 const numItems = 20000;
 
+// Output format: json (default, used to seed the database), or csv / ndjson for POST /items/import
+// on the Management API, e.g. `node generateCatalog.js --format=csv`
+const formatArg = process.argv.find((arg) => arg.startsWith("--format="));
+const format = formatArg ? formatArg.slice("--format=".length) : "json";
+if (!["json", "csv", "ndjson"].includes(format)) {
+    console.error(`Unknown format "${format}"; use json, csv or ndjson`);
+    process.exit(1);
+}
+
+// Department each Faker product noun belongs to
+const productDepartments = {
+    Bacon: "Grocery",
+    Ball: "Sports",
+    Bike: "Outdoors",
+    Car: "Automotive",
+    Chair: "Home",
+    Cheese: "Grocery",
+    Chicken: "Grocery",
+    Chips: "Grocery",
+    Computer: "Computers",
+    Fish: "Grocery",
+    Gloves: "Clothing",
+    Hat: "Clothing",
+    Keyboard: "Computers",
+    Mouse: "Computers",
+    Pants: "Clothing",
+    Pizza: "Grocery",
+    Salad: "Grocery",
+    Sausages: "Grocery",
+    Shirt: "Clothing",
+    Shoes: "Shoes",
+    Soap: "Beauty",
+    Table: "Home",
+    Towels: "Home",
+    Tuna: "Grocery"
+};
+
+// Sizes clothing and shoes are sold in; each of these items comes in two colours and every size
+const variantSizes = {
+    Clothing: ["S", "M", "L", "XL"],
+    Shoes: ["39", "40", "41", "42", "43", "44"]
+};
+// Colours and the code each one has in SKUs
+const variantColours = {
+    Black: "BLK",
+    White: "WHT",
+    Navy: "NVY",
+    Grey: "GRY",
+    Red: "RED",
+    Green: "GRN",
+    Beige: "BGE"
+};
+
+// Size and colour variants, with SKUs such as "PANTS-00005-NVY-M"
+const generateVariants = (id, product, sizes) =>
+    faker.helpers.arrayElements(Object.keys(variantColours), 2).flatMap((colour) =>
+        sizes.map((size) => ({
+            sku: [product.toUpperCase(), String(id).padStart(5, "0"), variantColours[colour], size].join("-"),
+            attributes: { size, colour }
+        }))
+    );
+
 // Function to generate store catalog items
 const generateStoreCatalog = (num) => {
     let catalog = [];
-    
+
     for (let i = 1; i <= num; i++) {
+        const product = faker.commerce.product();
+        const department = productDepartments[product] || faker.commerce.department();
+        const sizes = variantSizes[department];
+
         catalog.push({
             id: i,
-            name: faker.commerce.productName(),
+            name: `${faker.commerce.productAdjective()} ${faker.commerce.productMaterial()} ${product}`,
             description: faker.commerce.productDescription(),
-            price: faker.commerce.price(0.99, 9999.99, 2)
+            price: faker.commerce.price(0.99, 9999.99, 2),
+            // Category hierarchy from the top level down: department, then product type
+            categoryPath: [department, product],
+            ...(sizes && { variants: generateVariants(i, product, sizes) })
         });
     }
 
     return catalog;
 };
 
+// Quote a CSV cell when it contains a comma, quote or line break
+const csvCell = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// Import files leave out the id, so importing them adds new items instead of overwriting existing ones.
+// Variants are left out too, as the import only covers the items themselves.
+const toImportRow = ({ id, variants, ...item }) => item;
+
+const serializers = {
+    json: (items) => JSON.stringify(items, null, 4),
+    ndjson: (items) => items.map((item) => JSON.stringify(toImportRow(item))).join("\n") + "\n",
+    csv: (items) => [
+        "name,description,price,categoryPath",
+        ...items.map(({ name, description, price, categoryPath }) =>
+            [name, description, price, categoryPath.join(" > ")].map(csvCell).join(",")
+        )
+    ].join("\n") + "\n"
+};
+
 // Generate data
 const catalogItems = generateStoreCatalog(numItems);
 
-// Save to JSON file
-const jsonFilePath = "store_catalog.json";
-fs.writeFileSync(jsonFilePath, JSON.stringify(catalogItems, null, 4));
+// Save to file
+const filePath = `store_catalog.${format}`;
+fs.writeFileSync(filePath, serializers[format](catalogItems));
 
-console.log(`Generated ${numItems} realistic store catalog items in '${jsonFilePath}'`);
+console.log(`Generated ${numItems} realistic store catalog items in '${filePath}'`);
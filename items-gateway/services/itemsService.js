@@ -3,6 +3,16 @@ const { ValidationError, ServiceError } = require('../utils/errors');
 
 const BACKEND_API_URL = process.env.BACKEND_API_URL || 'http://localhost:3000';
 
+// Maps a Backend API variant to VariantType; each entry of its attributes object becomes an <attribute> element.
+// (node-soap reserves the "attributes" key for XML attributes, so it cannot be used as an element name here.)
+const toVariantType = (variant) => ({
+    id: variant.id,
+    sku: variant.sku,
+    attribute: Object.entries(variant.attributes || {}).map(([name, value]) => ({ name, value })),
+    price: variant.price,
+    stock: variant.stock
+});
+
 const itemsService = {
     ItemsService: {
         ItemsPort: {
@@ -23,7 +33,10 @@ const itemsService = {
                             id: data.id,
                             name: data.name,
                             description: data.description || '',
-                            price: data.price
+                            price: data.price,
+                            variants: {
+                                variant: (data.variants || []).map(toVariantType)
+                            }
                         }
                     };
                 } catch (error) {
@@ -41,24 +54,42 @@ const itemsService = {
                 try {
                     const page = parseInt(args.page) || 1;
                     const limit = parseInt(args.limit) || 10;
+                    const cursor = typeof args.cursor === 'string' && args.cursor ? args.cursor : undefined;
+                    const useCursor = args.pagination === 'cursor' || cursor !== undefined;
 
                     if (page < 1 || limit < 1 || limit > 100) {
                         throw new ValidationError('Invalid page or limit parameters');
                     }
+                    if (args.pagination !== undefined && !['page', 'cursor'].includes(args.pagination)) {
+                        throw new ValidationError('Invalid pagination parameter');
+                    }
 
-                    const { data } = await axios.get(`${BACKEND_API_URL}/items`, {
-                        params: { page, limit }
-                    });
+                    const params = useCursor
+                        ? { limit, pagination: 'cursor', cursor, includeTotal: true }
+                        : { page, limit };
+                    const { data } = await axios.get(`${BACKEND_API_URL}/items`, { params });
+
+                    const items = {
+                        item: data.items.map(item => ({
+                            id: item.id,
+                            name: item.name,
+                            description: item.description || '',
+                            price: item.price
+                        }))
+                    };
+
+                    if (useCursor) {
+                        return {
+                            items,
+                            limit: data.limit,
+                            total: data.total,
+                            ...(data.next && { next: data.next }),
+                            ...(data.prev && { prev: data.prev })
+                        };
+                    }
 
                     return {
-                        items: {
-                            item: data.items.map(item => ({
-                                id: item.id,
-                                name: item.name,
-                                description: item.description || '',
-                                price: item.price
-                            }))
-                        },
+                        items,
                         page: data.page,
                         limit: data.limit,
                         total: data.total
@@ -68,6 +99,9 @@ const itemsService = {
                     if (error instanceof ValidationError) {
                         throw { Fault: { faultstring: error.message, detail: { errorcode: 400 } } };
                     }
+                    if (error.response?.status === 400) {
+                        throw { Fault: { faultstring: error.response.data.error || 'Invalid request', detail: { errorcode: 400 } } };
+                    }
                     throw { Fault: { faultstring: 'Internal server error', detail: { errorcode: 500 } } };
                 }
             },
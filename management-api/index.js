@@ -4,16 +4,127 @@ const bodyParser = require('body-parser');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const crypto = require('crypto');
+const http = require('http');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const sharp = require('sharp');
+const { createStorage } = require('../shared/storage');
 
 const app = express();
 const port = 3500;
 
-app.use(bodyParser.json({ limit: '50mb' }));
+app.use(bodyParser.json({ limit: '50mb', type: ['application/json', 'application/merge-patch+json'] }));
 
 // Environment variables
 const ADAPTER_API_URL = process.env.ADAPTER_API_URL || 'http://adapter-api:4000';
 const TOKEN_SECRET = process.env.TOKEN_SECRET || 'default_secret';
 
+// Service credential presented to the Adapter API on every call.
+const SERVICE_NAME = 'management-api';
+const SERVICE_KEY = process.env.SERVICE_KEY || 'default_service_key';
+
+// Item image uploads
+const storage = createStorage();
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES, 10) || 5 * 1024 * 1024;
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE, 10) || 256;
+// Accepted upload types, mapped to the format sharp must detect in the file and the stored file extension.
+const IMAGE_TYPES = {
+  'image/jpeg': { format: 'jpeg', extension: 'jpg' },
+  'image/png': { format: 'png', extension: 'png' },
+  'image/webp': { format: 'webp', extension: 'webp' },
+  'image/gif': { format: 'gif', extension: 'gif' },
+};
+const uploadImage = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+}).single('image');
+
+/**
+ * Signs a request to the Adapter API with this service's key (HMAC-SHA256) and returns the X-Service-* headers.
+ * The signature covers the service name, a timestamp, the method, the path with query string and the body hash.
+ */
+const signRequest = (method, pathWithQuery, bodyHash) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto
+    .createHmac('sha256', SERVICE_KEY)
+    .update([SERVICE_NAME, timestamp, method.toUpperCase(), pathWithQuery, bodyHash].join('\n'))
+    .digest('hex');
+  return { 'X-Service-Name': SERVICE_NAME, 'X-Service-Timestamp': timestamp, 'X-Service-Signature': signature };
+};
+
+/**
+ * The path and query string axios puts on the wire for a request. axios parses the URL first (percent-encoding
+ * characters such as quotes in its query) and only then appends the params with its own serializer, which leaves
+ * e.g. an apostrophe as it is. Signing the result of another encoder would not match what the Adapter API receives.
+ */
+const requestPath = (config) => {
+  const { pathname, search } = new URL(config.url, config.baseURL);
+  return axios.getUri({ url: pathname + search, params: config.params, paramsSerializer: config.paramsSerializer });
+};
+
+/**
+ * Signs every outgoing axios request, using a hash of the JSON body.
+ */
+axios.interceptors.request.use((config) => {
+  if (config.data !== undefined && typeof config.data !== 'string') {
+    config.data = JSON.stringify(config.data);
+    config.headers['Content-Type'] = 'application/json';
+  }
+  const bodyHash = crypto.createHash('sha256').update(config.data || '').digest('hex');
+  Object.assign(config.headers, signRequest(config.method, requestPath(config), bodyHash));
+  return config;
+});
+
+/**
+ * Streams an upload (a catalog import) to the Adapter API as it arrives. The body cannot be hashed before it is sent,
+ * so the request is signed with the UNSIGNED-PAYLOAD marker and the body is signed afterwards in the
+ * X-Service-Body-Signature trailer: HMAC-SHA256 over the request signature and the body's SHA-256.
+ * Resolves with { status, data }; other answers than 2xx reject with error.response set, as axios does,
+ * so they can be passed to handleAxiosError.
+ */
+const streamUpload = (endpoint, body, { params = {}, headers = {} } = {}) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(`${ADAPTER_API_URL}${endpoint}`);
+    Object.entries(params).forEach(([name, value]) => url.searchParams.append(name, value));
+    const signed = signRequest('post', url.pathname + url.search, 'UNSIGNED-PAYLOAD');
+
+    const upload = http.request(url, {
+      method: 'POST',
+      headers: { ...headers, ...signed, Trailer: 'X-Service-Body-Signature' },
+    });
+    upload.on('error', reject);
+    upload.on('response', (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('error', reject);
+      response.on('end', () => {
+        let data = {};
+        try {
+          data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (parseError) {
+          // Not JSON; handled like an empty body.
+        }
+        if (response.statusCode >= 200 && response.statusCode < 300) return resolve({ status: response.statusCode, data });
+        const error = new Error(`Request failed with status code ${response.statusCode}`);
+        error.response = { status: response.statusCode, data };
+        reject(error);
+      });
+    });
+
+    const bodyHash = crypto.createHash('sha256');
+    body.on('data', (chunk) => bodyHash.update(chunk));
+    body.on('error', (error) => upload.destroy(error));
+    body.on('end', () => {
+      const bodySignature = crypto
+        .createHmac('sha256', SERVICE_KEY)
+        .update(`${signed['X-Service-Signature']}\n${bodyHash.digest('hex')}`)
+        .digest('hex');
+      upload.addTrailers({ 'X-Service-Body-Signature': bodySignature });
+      upload.end();
+    });
+    body.pipe(upload, { end: false });
+  });
+
 /**
  * Swagger configuration for Management API.
  */
@@ -48,7 +159,10 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 /**
- * Admin authentication middleware.
+ * Authentication middleware.
+ * Verifies the caller's token and loads the permissions granted by their role.
+ * Callers whose role grants no management permissions at all are rejected here; each route then
+ * declares the specific permission it needs with requirePermission.
  */
 app.use(async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -64,17 +178,35 @@ app.use(async (req, res, next) => {
       token: providedToken
     });
 
-    if (response.data.valid) {
-      req.username = username;
-      next();
-    } else {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
+    if (!response.data.valid)
+      return res.status(401).json({ error: 'Invalid or expired token' });
+
+    const roleResponse = await axios.post(`${ADAPTER_API_URL}/user/role`, { username });
+    const permissions = roleResponse.data.permissions || [];
+    if (!permissions.length)
+      return res.status(403).json({ error: 'Management access required' });
+
+    req.username = username;
+    req.role = roleResponse.data.role;
+    req.permissions = permissions;
+    next();
   } catch (error) {
+    if (error.response && error.response.status === 404)
+      return res.status(403).json({ error: 'Management access required' });
     return res.status(500).json({ error: 'Internal server error', message: error.message });
   }
 });
 
+/**
+ * Route-level authorization: rejects the request with 403 unless the caller's role grants the permission.
+ * @param {string} permission - e.g. 'items:read', 'items:write', 'reviews:moderate', 'users:read', 'users:write'.
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.permissions.includes(permission))
+    return res.status(403).json({ error: `Missing required permission: ${permission}` });
+  next();
+};
+
 /**
  * Helper to handle axios errors.
  */
@@ -82,31 +214,148 @@ const handleAxiosError = (res, error, notFoundMsg, fallbackMsg) => {
   if (error.response) {
     if (error.response.status === 404 && notFoundMsg)
       return res.status(404).json({ error: notFoundMsg });
+    const { error: message, missing } = error.response.data;
     return res
       .status(error.response.status)
-      .json({ error: error.response.data.error || fallbackMsg });
+      .json({ error: message || fallbackMsg, ...(missing && { missing }) });
   }
   res.status(500).json({ error: fallbackMsg });
 };
 
+/**
+ * With responseType 'stream' an Adapter API error body arrives as a stream as well;
+ * read it back into error.response.data so it can be handled like any other error.
+ */
+const readStreamedErrorBody = async (error) => {
+  const data = error.response && error.response.data;
+  if (!data || typeof data.pipe !== 'function') return;
+  const chunks = [];
+  for await (const chunk of data) chunks.push(chunk);
+  try {
+    error.response.data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (parseError) {
+    error.response.data = {};
+  }
+};
+
+/**
+ * Streams a file download (e.g. a catalog export) from the Adapter API to the client without buffering it.
+ * @param {string} endpoint - The endpoint path on the Adapter API.
+ * @param {object} options - Optional settings: { notFoundMsg, fallbackMsg }.
+ */
+const streamDownload = async (endpoint, req, res, { notFoundMsg, fallbackMsg } = {}) => {
+  try {
+    const response = await axios.get(`${ADAPTER_API_URL}${endpoint}`, {
+      params: req.query,
+      responseType: 'stream',
+      headers: { 'X-Acting-User': req.username },
+    });
+    res.set('Content-Type', response.headers['content-type']);
+    res.set('Content-Disposition', response.headers['content-disposition']);
+    await pipeline(response.data, res);
+  } catch (error) {
+    // Once the download has started the status can no longer change, so cut the response short instead.
+    if (res.headersSent) return res.destroy(error);
+    await readStreamedErrorBody(error);
+    handleAxiosError(res, error, notFoundMsg, fallbackMsg);
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Fetches the current state of a single item, user or category from the Adapter API, or null if it cannot be read.
+ * @param {string} resourcePath - e.g. '/items/42'.
+ */
+const fetchSnapshot = async (resourcePath) => {
+  try {
+    // includeDeleted so deleting or restoring a record is recorded as a change, not as the record vanishing
+    const response = await axios.get(`${ADAPTER_API_URL}${resourcePath}`, { params: { includeDeleted: true } });
+    return response.data;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Field-by-field diff of two snapshots: { field: { from, to } } for every field whose value changed.
+ * Returns null when neither side is a single record (e.g. batch creates).
+ */
+const diffSnapshots = (before, after) => {
+  if (!isPlainObject(before) && !isPlainObject(after)) return null;
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to))
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  }
+  return changes;
+};
+
+/**
+ * Writes an audit record for a mutation. Failures are logged but never fail the request,
+ * because the change itself has already been applied.
+ */
+const recordAudit = async (req, method, entity, targetId, before, after) => {
+  try {
+    await axios.post(`${ADAPTER_API_URL}/audit`, {
+      actor: req.username,
+      method: method.toUpperCase(),
+      route: req.route.path,
+      entity,
+      targetId: targetId === undefined ? null : targetId,
+      before,
+      after,
+      changes: diffSnapshots(before, after),
+    });
+  } catch (error) {
+    console.error(`Error writing audit record for ${method.toUpperCase()} ${req.originalUrl}:`, error.message);
+  }
+};
+
 /**
  * Generic forwarder for requests to the Adapter API.
+ * Every non-GET request is audited: the target record is read before and after the change
+ * and the acting user, route, target id and diff are recorded. Pass audit: false for requests the Adapter API
+ * audits itself. The acting user is also passed to the
+ * Adapter API in the X-Acting-User header (e.g. for price history). If-Match is passed through and the
+ * Adapter API's ETag is returned, so optimistic concurrency works end to end.
  * @param {string} method - HTTP method (e.g. 'get', 'post', etc.)
  * @param {string} endpoint - The endpoint path on the Adapter API.
  * @param {object} req - Express request.
  * @param {object} res - Express response.
- * @param {object} options - Optional settings: { notFoundMsg, fallbackMsg, successStatus }.
+ * @param {object} options - Optional settings: { notFoundMsg, fallbackMsg, successStatus, audit }.
  */
-const forwardRequest = async (method, endpoint, req, res, { notFoundMsg, fallbackMsg, successStatus } = {}) => {
+const forwardRequest = async (method, endpoint, req, res, { notFoundMsg, fallbackMsg, successStatus, audit = true } = {}) => {
   try {
+    const auditable = audit && method !== 'get';
+    const entity = endpoint.split('/')[1];
+    const { id } = req.params;
+    const resourcePath = id && `/${entity}/${id}`;
+    const before = auditable && resourcePath ? await fetchSnapshot(resourcePath) : null;
+
     const response = await axios({
       method,
       url: `${ADAPTER_API_URL}${endpoint}`,
       data: req.body,
       params: req.query,
+      headers: {
+        'X-Acting-User': req.username,
+        ...(req.headers['if-match'] && { 'If-Match': req.headers['if-match'] }),
+      },
     });
+
+    if (auditable) {
+      const after = resourcePath ? await fetchSnapshot(resourcePath) : response.data;
+      const targetId = id || (isPlainObject(after) ? after.id : null);
+      await recordAudit(req, method, entity, targetId, before, after);
+    }
+    if (response.headers.etag) res.set('ETag', response.headers.etag);
     res.status(successStatus || response.status).json(response.data);
   } catch (error) {
+    if (error.response && error.response.headers.etag) res.set('ETag', error.response.headers.etag);
     handleAxiosError(res, error, notFoundMsg, fallbackMsg);
   }
 };
@@ -116,6 +365,47 @@ const forwardRequest = async (method, endpoint, req, res, { notFoundMsg, fallbac
  * ----------------------------
  */
 
+/**
+ * Stops privilege escalation through user writes: giving a user a role that grants a permission the caller
+ * does not have requires roles:assign. Unknown roles are let through for the Adapter API to reject with 400.
+ */
+const guardRoleAssignment = async (req, res, next) => {
+  const role = isPlainObject(req.body) ? req.body.role : undefined;
+  if (role === undefined || req.permissions.includes('roles:assign')) return next();
+  try {
+    const response = await axios.get(`${ADAPTER_API_URL}/roles`);
+    const assigned = response.data.find((entry) => entry.name === role);
+    if (assigned && assigned.permissions.some((permission) => !req.permissions.includes(permission)))
+      return res.status(403).json({ error: `Missing required permission: roles:assign (role ${role} grants more than yours)` });
+    next();
+  } catch (error) {
+    handleAxiosError(res, error, null, 'Error checking role');
+  }
+};
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     summary: Retrieve the available roles.
+ *     description: Lists every role that can be assigned to a user together with the permissions it grants.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     responses:
+ *       200:
+ *         description: A list of roles.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the users:read permission.
+ *       500:
+ *         description: Error fetching roles.
+ */
+app.get('/roles', requirePermission('users:read'), (req, res) =>
+  forwardRequest('get', '/roles', req, res, { fallbackMsg: 'Error fetching roles' })
+);
+
 /**
  * @swagger
  * /users:
@@ -124,16 +414,84 @@ const forwardRequest = async (method, endpoint, req, res, { notFoundMsg, fallbac
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
+ *     parameters:
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also list soft-deleted users (their deletedAt is set).
  *     responses:
  *       200:
  *         description: A list of users.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the users:read permission.
  *       500:
  *         description: Error fetching users.
  */
-app.get('/users', (req, res) =>
+app.get('/users', requirePermission('users:read'), (req, res) =>
   forwardRequest('get', '/users', req, res, { fallbackMsg: 'Error fetching users' })
 );
 
+/**
+ * @swagger
+ * /users/locked:
+ *   get:
+ *     summary: Retrieve users whose login is currently locked.
+ *     description: Lists accounts locked after too many failed login attempts, with the time the lock ends.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     responses:
+ *       200:
+ *         description: A list of locked users.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the users:read permission.
+ *       500:
+ *         description: Error fetching locked users.
+ */
+app.get('/users/locked', requirePermission('users:read'), (req, res) =>
+  forwardRequest('get', '/users/locked', req, res, { fallbackMsg: 'Error fetching locked users' })
+);
+
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user's login.
+ *     description: Clears the user's failed login attempts and any active lockout.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user to unlock.
+ *     responses:
+ *       200:
+ *         description: User unlocked.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the users:write permission.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Error unlocking user.
+ */
+app.post('/users/:id/unlock', requirePermission('users:write'), (req, res) =>
+  forwardRequest('post', `/users/${req.params.id}/unlock`, req, res, {
+    notFoundMsg: 'User not found',
+    fallbackMsg: 'Error unlocking user',
+  })
+);
+
 /**
  * @swagger
  * /users/{id}:
@@ -149,15 +507,24 @@ app.get('/users', (req, res) =>
  *         schema:
  *           type: integer
  *         description: Numeric ID of the user.
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also return the user if they have been deleted.
  *     responses:
  *       200:
- *         description: A user.
+ *         description: A user. The ETag header holds its version; send it back in If-Match when updating.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the users:read permission.
  *       404:
  *         description: User not found.
  *       500:
  *         description: Error fetching user.
  */
-app.get('/users/:id', (req, res) =>
+app.get('/users/:id', requirePermission('users:read'), (req, res) =>
   forwardRequest('get', `/users/${req.params.id}`, req, res, {
     notFoundMsg: 'User not found',
     fallbackMsg: 'Error fetching user',
@@ -189,6 +556,7 @@ app.get('/users/:id', (req, res) =>
  *                 type: string
  *               role:
  *                 type: string
+ *                 description: One of the roles returned by GET /roles (admin, catalog-editor, user-admin, support-readonly, user).
  *               firstname:
  *                 type: string
  *               surname:
@@ -199,11 +567,17 @@ app.get('/users/:id', (req, res) =>
  *       201:
  *         description: User created successfully.
  *       400:
- *         description: Bad request. Missing or invalid fields.
+ *         description: Bad request. Missing or invalid fields, or unknown role.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: |
+ *           Forbidden. Requires the users:write permission, and roles:assign to give a role with permissions
+ *           the caller does not have.
  *       500:
  *         description: Internal server error.
  */
-app.post('/users', (req, res) =>
+app.post('/users', requirePermission('users:write'), guardRoleAssignment, (req, res) =>
   forwardRequest('post', '/users', req, res, { fallbackMsg: 'Error creating user', successStatus: 201 })
 );
 
@@ -212,6 +586,9 @@ app.post('/users', (req, res) =>
  * /users/{id}:
  *   put:
  *     summary: Update an existing user.
+ *     description: |
+ *       Replaces the user. username, role, firstname and surname are required; the password is kept when left out.
+ *       Setting a password signs the user out of every session.
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
@@ -222,6 +599,11 @@ app.post('/users', (req, res) =>
  *         schema:
  *           type: integer
  *         description: ID of the user to update.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag from the last GET, e.g. "3". Required when the Adapter API runs with REQUIRE_IF_MATCH=true.
  *     requestBody:
  *       required: true
  *       content:
@@ -233,6 +615,7 @@ app.post('/users', (req, res) =>
  *                 type: string
  *               role:
  *                 type: string
+ *                 description: One of the roles returned by GET /roles (admin, catalog-editor, user-admin, support-readonly, user).
  *               firstname:
  *                 type: string
  *               surname:
@@ -242,27 +625,113 @@ app.post('/users', (req, res) =>
  *     responses:
  *       200:
  *         description: User updated.
+ *       400:
+ *         description: A field is missing or invalid, or the role is unknown. The missing fields are listed in "missing".
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: |
+ *           Forbidden. Requires the users:write permission, and roles:assign to give a role with permissions
+ *           the caller does not have.
  *       404:
- *         description: User not found.
+ *         description: User not found (or deleted).
+ *       409:
+ *         description: Username already exists.
+ *       412:
+ *         description: Changed by someone else since it was read (stale If-Match); the ETag header holds the current version.
+ *       428:
+ *         description: If-Match is required (strict mode) but was not sent.
  *       500:
  *         description: Error updating user.
  */
-app.put('/users/:id', (req, res) =>
+app.put('/users/:id', requirePermission('users:write'), guardRoleAssignment, (req, res) =>
   forwardRequest('put', `/users/${req.params.id}`, req, res, {
     notFoundMsg: 'User not found',
     fallbackMsg: 'Error updating user',
   })
 );
 
+/**
+ * @swagger
+ * /users/{id}:
+ *   patch:
+ *     summary: Partially update a user.
+ *     description: |
+ *       JSON Merge Patch (RFC 7396). Only the fields sent are changed; none of them may be null.
+ *       Setting a password signs the user out of every session.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user to update.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag from the last GET, e.g. "3". Required when the Adapter API runs with REQUIRE_IF_MATCH=true.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 description: One of the roles returned by GET /roles.
+ *               firstname:
+ *                 type: string
+ *               surname:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User updated.
+ *       400:
+ *         description: Invalid field value, unknown field or role, or nothing to update.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: |
+ *           Forbidden. Requires the users:write permission, and roles:assign to give a role with permissions
+ *           the caller does not have.
+ *       404:
+ *         description: User not found (or deleted).
+ *       409:
+ *         description: Username already exists.
+ *       412:
+ *         description: Changed by someone else since it was read (stale If-Match); the ETag header holds the current version.
+ *       428:
+ *         description: If-Match is required (strict mode) but was not sent.
+ *       500:
+ *         description: Error updating user.
+ */
+app.patch('/users/:id', requirePermission('users:write'), guardRoleAssignment, (req, res) =>
+  forwardRequest('patch', `/users/${req.params.id}`, req, res, {
+    notFoundMsg: 'User not found',
+    fallbackMsg: 'Error updating user',
+  })
+);
+
 /**
  * @swagger
  * /users/{id}:
  *   delete:
  *     summary: Delete a user.
+ *     description: |
+ *       Soft delete: the user can no longer log in and their sessions are revoked, but the account and its
+ *       history are kept. Use POST /users/{id}/restore to undo.
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
- *     deprecated: true
  *     parameters:
  *       - in: path
  *         name: id
@@ -273,23 +742,105 @@ app.put('/users/:id', (req, res) =>
  *     responses:
  *       200:
  *         description: User deleted.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the users:write permission.
  *       404:
  *         description: User not found.
+ *       409:
+ *         description: User is already deleted.
  *       500:
  *         description: Error deleting user.
  */
-/* app.delete('/users/:id', (req, res) =>
+app.delete('/users/:id', requirePermission('users:write'), (req, res) =>
   forwardRequest('delete', `/users/${req.params.id}`, req, res, {
     notFoundMsg: 'User not found',
     fallbackMsg: 'Error deleting user',
   })
-); */
+);
+
+/**
+ * @swagger
+ * /users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The restored user.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the users:write permission.
+ *       404:
+ *         description: User not found.
+ *       409:
+ *         description: User is not deleted.
+ *       500:
+ *         description: Error restoring user.
+ */
+app.post('/users/:id/restore', requirePermission('users:write'), (req, res) =>
+  forwardRequest('post', `/users/${req.params.id}/restore`, req, res, {
+    notFoundMsg: 'User not found',
+    fallbackMsg: 'Error restoring user',
+  })
+);
 
 /* ----------------------------
  * ITEMS MANAGEMENT ENDPOINTS
  * ----------------------------
  */
 
+/**
+ * @swagger
+ * /items:
+ *   get:
+ *     summary: Retrieve a paginated list of items.
+ *     description: |
+ *       The admin view of the catalog. Accepts the same filter, sort and pagination parameters as the
+ *       Backend API's GET /items, plus includeDeleted to also list soft-deleted items.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also list soft-deleted items (their deleted_at is set).
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A paginated list of items.
+ *       400:
+ *         description: Invalid filter, sort, cursor, page or limit parameter (page and limit must be positive integers).
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       500:
+ *         description: Error fetching items.
+ */
+app.get('/items', requirePermission('items:read'), (req, res) =>
+  forwardRequest('get', '/items', req, res, { fallbackMsg: 'Error fetching items' })
+);
+
 /**
  * @swagger
  * /items:
@@ -311,25 +862,75 @@ app.put('/users/:id', (req, res) =>
  *                 type: string
  *               price:
  *                 type: number
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Units available (default 0).
  *     responses:
  *       201:
  *         description: Item created.
+ *       400:
+ *         description: Invalid stock value.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
  *       500:
  *         description: Error creating item.
  */
-app.post('/items', (req, res) =>
+app.post('/items', requirePermission('items:write'), (req, res) =>
   forwardRequest('post', '/items', req, res, { fallbackMsg: 'Error creating item', successStatus: 201 })
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BatchResults:
+ *       type: object
+ *       description: Outcome of a batch, with one result per entry in request order.
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Position of the entry in the request.
+ *               status:
+ *                 type: integer
+ *                 description: HTTP status for this entry, e.g. 201, 200, 400, 404, 409 or 412.
+ *               id:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *                 description: Validation or database error, for failed entries.
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ */
+
 /**
  * @swagger
  * /items/batch:
  *   post:
  *     summary: Create multiple items at once.
- *     description: Forwards an array of items to the Adapter API for batch creation.
+ *     description: |
+ *       In atomic mode (the default) one invalid item rolls back the whole batch. In partial mode the valid items are
+ *       created and a 207 response reports the created id or the error for every index.
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [atomic, partial]
+ *           default: atomic
+ *         description: atomic applies all entries or none; partial applies every entry it can and reports each one.
  *     requestBody:
  *       required: true
  *       content:
@@ -348,73 +949,457 @@ app.post('/items', (req, res) =>
  *                   type: string
  *                 price:
  *                   type: number
+ *                 stock:
+ *                   type: integer
+ *                   minimum: 0
  *     responses:
  *       201:
- *         description: Items created successfully.
+ *         description: Items created successfully (atomic mode).
+ *       207:
+ *         description: Partial mode. Each result is { index, status 201, id } or { index, status 400, error }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
  *       400:
- *         description: Invalid input data.
+ *         description: Invalid input data; in atomic mode the error names the first failing index and nothing is created.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
  *       500:
  *         description: Internal Server Error.
  */
-app.post('/items/batch', (req, res) =>
+app.post('/items/batch', requirePermission('items:write'), (req, res) =>
+  // The Adapter API records one audit entry per item, with its before and after state.
   forwardRequest('post', '/items/batch', req, res, {
     fallbackMsg: 'Error creating batch items',
-    successStatus: 201,
+    audit: false,
   })
 );
 
 /**
  * @swagger
- * /items/{id}:
- *   put:
- *     summary: Update an existing item.
+ * /items/batch:
+ *   patch:
+ *     summary: Update multiple items at once.
+ *     description: |
+ *       Each entry holds an item id, optionally the version it was read at (412 if the item has changed since), and the
+ *       fields to change with JSON Merge Patch semantics, as in PATCH /items/{id}. When the Adapter API enforces If-Match
+ *       (REQUIRE_IF_MATCH=true) the version is required and an entry without one fails with 428.
+ *       In atomic mode (the default) one failing entry rolls back the whole batch; in partial mode each entry is applied on its own.
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: mode
  *         schema:
- *           type: integer
- *         description: ID of the item to update.
+ *           type: string
+ *           enum: [atomic, partial]
+ *           default: atomic
+ *         description: atomic applies all entries or none; partial applies every entry it can and reports each one.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               price:
- *                 type: number
- *     responses:
- *       200:
- *         description: Item updated.
- *       404:
- *         description: Item not found.
- *       500:
- *         description: Error updating item.
+ *             type: array
+ *             items:
+ *               type: object
+ *               required:
+ *                 - id
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 version:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                   nullable: true
+ *                 price:
+ *                   type: number
+ *     responses:
+ *       200:
+ *         description: All items updated (atomic mode). Each result is { index, status 200, id, item }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       207:
+ *         description: Partial mode. Each result is { index, status 200, id, item } or { index, status 400/404/412/428, id, error }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       400:
+ *         description: Not an array, or (atomic mode) an entry is invalid; the error names the first failing index.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Atomic mode; an item was not found and nothing was updated.
+ *       412:
+ *         description: Atomic mode; an item no longer has the given version and nothing was updated.
+ *       428:
+ *         description: Atomic mode; an entry has no version while REQUIRE_IF_MATCH is on, and nothing was updated.
+ *       500:
+ *         description: Error updating batch items.
+ */
+app.patch('/items/batch', requirePermission('items:write'), (req, res) =>
+  // The Adapter API records one audit entry per item, with its before and after state.
+  forwardRequest('patch', '/items/batch', req, res, {
+    fallbackMsg: 'Error updating batch items',
+    audit: false,
+  })
+);
+
+/**
+ * @swagger
+ * /items/batch:
+ *   delete:
+ *     summary: Delete multiple items at once.
+ *     description: |
+ *       Soft-deletes the items, as DELETE /items/{id}. In atomic mode (the default) one failing id rolls back the whole
+ *       batch; in partial mode each id is deleted on its own.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [atomic, partial]
+ *           default: atomic
+ *         description: atomic applies all entries or none; partial applies every entry it can and reports each one.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: All items deleted (atomic mode). Each result is { index, status 200, id }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       207:
+ *         description: Partial mode. Each result is { index, status 200, id } or { index, status 400/404/409, id, error }.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       400:
+ *         description: ids is not an array, or (atomic mode) an id is invalid.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Atomic mode; an item was not found and nothing was deleted.
+ *       409:
+ *         description: Atomic mode; an item was already deleted and nothing was deleted.
+ *       500:
+ *         description: Error deleting batch items.
+ */
+app.delete('/items/batch', requirePermission('items:write'), (req, res) =>
+  // The Adapter API records one audit entry per item, with its before and after state.
+  forwardRequest('delete', '/items/batch', req, res, {
+    fallbackMsg: 'Error deleting batch items',
+    audit: false,
+  })
+);
+
+/**
+ * @swagger
+ * /items/export:
+ *   get:
+ *     summary: Export the catalog as CSV or NDJSON.
+ *     description: |
+ *       Streams every item that is not deleted with the columns id, name, description, price, stock and categoryPath.
+ *       The file can be edited (e.g. in a spreadsheet) and imported again with POST /items/import.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The catalog, streamed as a file download.
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Unknown format.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       500:
+ *         description: Error exporting items.
+ */
+app.get('/items/export', requirePermission('items:read'), (req, res) =>
+  streamDownload('/items/export', req, res, { fallbackMsg: 'Error exporting items' })
+);
+
+/**
+ * @swagger
+ * /items/import:
+ *   post:
+ *     summary: Import items from a CSV or NDJSON file.
+ *     description: |
+ *       The file is streamed through to the Adapter API and loaded with Postgres COPY, so it can be much larger than
+ *       a POST /items/batch body. name and price are required; id, description, stock and categoryPath are optional
+ *       and empty CSV cells count as not given. Rows whose id matches an existing item update it, all other rows create
+ *       new items. If any row is invalid nothing is imported and the report lists the rows with their errors.
+ *       Use dryRun=true to validate a file first. The output of GET /items/export and of the catalog-data-generator
+ *       (--format=csv or --format=ndjson) can be imported as is.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report what would happen without changing anything.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             name,description,price,stock,categoryPath
+ *             Rustic Wooden Chair,Solid oak,129.00,12,Home > Chair
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"name": "Rustic Wooden Chair", "price": "129.00", "categoryPath": ["Home", "Chair"]}
+ *     responses:
+ *       200:
+ *         description: |
+ *           Import report: { dryRun, rows, created, updated, errorCount, errors }, where errors lists up to 1000
+ *           rows as { row, errors } (row 1 is the first data row). A dry run reports errors with 200 as well.
+ *       400:
+ *         description: Some rows are invalid (see the report) and nothing was imported, or the CSV cannot be parsed.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       415:
+ *         description: The body is not text/csv or application/x-ndjson.
+ *       500:
+ *         description: Error importing items.
+ */
+app.post('/items/import', requirePermission('items:write'), async (req, res) => {
+  try {
+    const response = await streamUpload('/items/import', req, {
+      params: req.query,
+      headers: {
+        'Content-Type': req.headers['content-type'] || 'application/octet-stream',
+        'X-Acting-User': req.username,
+      },
+    });
+    const { dryRun, rows, created, updated } = response.data;
+    if (!dryRun) await recordAudit(req, 'post', 'items', null, null, { import: { rows, created, updated } });
+    res.json(response.data);
+  } catch (error) {
+    // Pass the per-row error report through as it is.
+    if (error.response && Array.isArray(error.response.data.errors))
+      return res.status(error.response.status).json(error.response.data);
+    handleAxiosError(res, error, null, 'Error importing items');
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   get:
+ *     summary: Retrieve an item by ID.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *         description: Also return the item if it has been deleted.
+ *     responses:
+ *       200:
+ *         description: An item. The ETag header holds its version; send it back in If-Match when updating.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Error fetching item.
+ */
+app.get('/items/:id', requirePermission('items:read'), (req, res) =>
+  forwardRequest('get', `/items/${req.params.id}`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error fetching item',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   put:
+ *     summary: Update an existing item.
+ *     description: Replaces the item. name, description and price are all required; use PATCH to change only some of them.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the item to update.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag from the last GET, e.g. "3". Required when the Adapter API runs with REQUIRE_IF_MATCH=true.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Item updated.
+ *       400:
+ *         description: A field is missing or invalid. The missing fields are listed in "missing".
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       412:
+ *         description: Changed by someone else since it was read (stale If-Match); the ETag header holds the current version.
+ *       428:
+ *         description: If-Match is required (strict mode) but was not sent.
+ *       500:
+ *         description: Error updating item.
  */
-app.put('/items/:id', (req, res) =>
+app.put('/items/:id', requirePermission('items:write'), (req, res) =>
   forwardRequest('put', `/items/${req.params.id}`, req, res, {
     notFoundMsg: 'Item not found',
     fallbackMsg: 'Error updating item',
   })
 );
 
+/**
+ * @swagger
+ * /items/{id}:
+ *   patch:
+ *     summary: Partially update an item.
+ *     description: |
+ *       JSON Merge Patch (RFC 7396). Only the fields sent are changed; description may be set to null to clear it.
+ *       A price change is recorded in the item's price history.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the item to update.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag from the last GET, e.g. "3". Required when the Adapter API runs with REQUIRE_IF_MATCH=true.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               price:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Item updated.
+ *       400:
+ *         description: Invalid field value, unknown field, or nothing to update.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       412:
+ *         description: Changed by someone else since it was read (stale If-Match); the ETag header holds the current version.
+ *       428:
+ *         description: If-Match is required (strict mode) but was not sent.
+ *       500:
+ *         description: Error updating item.
+ */
+app.patch('/items/:id', requirePermission('items:write'), (req, res) =>
+  forwardRequest('patch', `/items/${req.params.id}`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error updating item',
+  })
+);
+
 /**
  * @swagger
  * /items/{id}:
  *   delete:
  *     summary: Delete an item.
+ *     description: |
+ *       Soft delete: the item disappears from the catalog but keeps its history. Use POST /items/{id}/restore to undo.
  *     security:
  *       - bearerAuth: []
  *       - XUser: []
- *     deprecated: true
  *     parameters:
  *       - in: path
  *         name: id
@@ -425,18 +1410,1384 @@ app.put('/items/:id', (req, res) =>
  *     responses:
  *       200:
  *         description: Item deleted.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
  *       404:
  *         description: Item not found.
+ *       409:
+ *         description: Item is already deleted.
  *       500:
  *         description: Error deleting item.
  */
-/* app.delete('/items/:id', (req, res) =>
+app.delete('/items/:id', requirePermission('items:write'), (req, res) =>
   forwardRequest('delete', `/items/${req.params.id}`, req, res, {
     notFoundMsg: 'Item not found',
     fallbackMsg: 'Error deleting item',
   })
 );
+
+/**
+ * @swagger
+ * /items/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted item.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The restored item.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       409:
+ *         description: Item is not deleted.
+ *       500:
+ *         description: Error restoring item.
+ */
+app.post('/items/:id/restore', requirePermission('items:write'), (req, res) =>
+  forwardRequest('post', `/items/${req.params.id}/restore`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error restoring item',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/price-history:
+ *   get:
+ *     summary: Retrieve an item's price history.
+ *     description: |
+ *       Every price change, newest first, with the old and new price, who made it and when. source tells
+ *       manual edits (PUT /items/{id}) apart from scheduled prices starting, ending or being cancelled.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The item's price changes.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Error fetching price history.
+ */
+app.get('/items/:id/price-history', requirePermission('items:read'), (req, res) =>
+  forwardRequest('get', `/items/${req.params.id}/price-history`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error fetching price history',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/scheduled-prices:
+ *   get:
+ *     summary: Retrieve an item's scheduled prices.
+ *     description: Status is pending, active (sale running), applied (permanent change made), ended, cancelled or expired.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The item's scheduled prices.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Error fetching scheduled prices.
  */
+app.get('/items/:id/scheduled-prices', requirePermission('items:read'), (req, res) =>
+  forwardRequest('get', `/items/${req.params.id}/scheduled-prices`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error fetching scheduled prices',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/scheduled-prices:
+ *   post:
+ *     summary: Schedule a price change or sale.
+ *     description: |
+ *       The price is applied automatically at startsAt. With endsAt it is a sale and the previous price comes
+ *       back at endsAt; without endsAt the change is permanent. Schedules for one item may not overlap.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               price:
+ *                 type: number
+ *                 example: 19.99
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-11-28T00:00:00Z"
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-12-01T00:00:00Z"
+ *     responses:
+ *       201:
+ *         description: Price scheduled.
+ *       400:
+ *         description: Invalid price or times.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       409:
+ *         description: Overlaps another scheduled price for the item.
+ *       500:
+ *         description: Error scheduling price.
+ */
+app.post('/items/:id/scheduled-prices', requirePermission('items:write'), (req, res) =>
+  forwardRequest('post', `/items/${req.params.id}/scheduled-prices`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error scheduling price',
+    successStatus: 201,
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/scheduled-prices/{scheduleId}:
+ *   delete:
+ *     summary: Cancel a scheduled price.
+ *     description: Cancelling a running sale ends it now and restores the previous price.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The cancelled schedule.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Scheduled price not found.
+ *       409:
+ *         description: The schedule has already finished.
+ *       500:
+ *         description: Error cancelling scheduled price.
+ */
+app.delete('/items/:id/scheduled-prices/:scheduleId', requirePermission('items:write'), (req, res) =>
+  forwardRequest('delete', `/items/${req.params.id}/scheduled-prices/${req.params.scheduleId}`, req, res, {
+    notFoundMsg: 'Scheduled price not found',
+    fallbackMsg: 'Error cancelling scheduled price',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/stock:
+ *   put:
+ *     summary: Set or adjust an item's stock.
+ *     description: Send either "stock" to set the quantity on hand, or "adjustment" to add or remove units.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 250
+ *               adjustment:
+ *                 type: integer
+ *                 example: -3
+ *     responses:
+ *       200:
+ *         description: The item's new stock.
+ *       400:
+ *         description: Invalid body, or the adjustment would make stock negative.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Error updating stock.
+ */
+app.put('/items/:id/stock', requirePermission('items:write'), (req, res) =>
+  forwardRequest('put', `/items/${req.params.id}/stock`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error updating stock',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/variants:
+ *   get:
+ *     summary: Retrieve an item's variants.
+ *     description: Each variant has a SKU, attributes such as size and colour, an optional price override and its own stock.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The item's variants.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Error fetching variants.
+ */
+app.get('/items/:id/variants', requirePermission('items:read'), (req, res) =>
+  forwardRequest('get', `/items/${req.params.id}/variants`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error fetching variants',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/variants:
+ *   post:
+ *     summary: Add a variant to an item.
+ *     description: |
+ *       SKUs are unique across the catalog, and an item cannot have two variants with the same attributes.
+ *       Without a priceOverride the variant sells at the item's price. Once an item has variants,
+ *       customers buy it by variant and each variant's stock is used.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 example: PANTS-00005-NVY-M
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { "size": "M", "colour": "Navy" }
+ *               priceOverride:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 299.99
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 25
+ *     responses:
+ *       201:
+ *         description: The created variant.
+ *       400:
+ *         description: A field is missing (listed in "missing") or invalid.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       409:
+ *         description: The SKU already exists, or the item already has a variant with these attributes.
+ *       500:
+ *         description: Error creating variant.
+ */
+app.post('/items/:id/variants', requirePermission('items:write'), (req, res) =>
+  forwardRequest('post', `/items/${req.params.id}/variants`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error creating variant',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/variants/{variantId}:
+ *   get:
+ *     summary: Retrieve one variant of an item.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The variant.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       404:
+ *         description: Variant not found.
+ *       500:
+ *         description: Error fetching variant.
+ */
+app.get('/items/:id/variants/:variantId', requirePermission('items:read'), (req, res) =>
+  forwardRequest('get', `/items/${req.params.id}/variants/${req.params.variantId}`, req, res, {
+    notFoundMsg: 'Variant not found',
+    fallbackMsg: 'Error fetching variant',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/variants/{variantId}:
+ *   patch:
+ *     summary: Partially update a variant.
+ *     description: JSON Merge Patch; only the fields sent are changed, and priceOverride null goes back to the item's price.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               priceOverride:
+ *                 type: number
+ *                 nullable: true
+ *                 example: null
+ *               stock:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 40
+ *     responses:
+ *       200:
+ *         description: The updated variant.
+ *       400:
+ *         description: Invalid field value, unknown field, or nothing to update.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Variant not found.
+ *       409:
+ *         description: The SKU already exists, or the item already has a variant with these attributes.
+ *       500:
+ *         description: Error updating variant.
+ */
+app.patch('/items/:id/variants/:variantId', requirePermission('items:write'), (req, res) =>
+  forwardRequest('patch', `/items/${req.params.id}/variants/${req.params.variantId}`, req, res, {
+    notFoundMsg: 'Variant not found',
+    fallbackMsg: 'Error updating variant',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a variant.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Variant deleted.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Variant not found.
+ *       500:
+ *         description: Error deleting variant.
+ */
+app.delete('/items/:id/variants/:variantId', requirePermission('items:write'), (req, res) =>
+  forwardRequest('delete', `/items/${req.params.id}/variants/${req.params.variantId}`, req, res, {
+    notFoundMsg: 'Variant not found',
+    fallbackMsg: 'Error deleting variant',
+  })
+);
+
+/**
+ * Parses the multipart body of an image upload, turning multer errors into 413/400 responses.
+ */
+const parseImageUpload = (req, res, next) =>
+  uploadImage(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE')
+      return res.status(413).json({ error: `Image is larger than ${MAX_IMAGE_BYTES} bytes` });
+    if (error instanceof multer.MulterError)
+      return res.status(400).json({ error: `Invalid upload: ${error.message}` });
+    next(error);
+  });
+
+/**
+ * @swagger
+ * /items/{id}/images:
+ *   post:
+ *     summary: Upload an image for an item.
+ *     description: |
+ *       Accepts one JPEG, PNG, WebP or GIF file in the "image" field (max MAX_IMAGE_BYTES, default 5 MB).
+ *       The file content must match its declared type. A WebP thumbnail (at most THUMBNAIL_SIZE pixels per side)
+ *       is generated. The image is added at "position" (0-based; default last).
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Image uploaded.
+ *       400:
+ *         description: No image, invalid position, or the file is not a valid image of its declared type.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       413:
+ *         description: Image too large.
+ *       415:
+ *         description: Unsupported image type.
+ *       500:
+ *         description: Error uploading image.
+ */
+app.post('/items/:id/images', requirePermission('items:write'), parseImageUpload, async (req, res) => {
+  const { file } = req;
+  if (!file) return res.status(400).json({ error: 'An image file is required in the "image" field' });
+  const imageType = IMAGE_TYPES[file.mimetype];
+  if (!imageType)
+    return res.status(415).json({ error: `Unsupported image type "${file.mimetype}"; use ${Object.keys(IMAGE_TYPES).join(', ')}` });
+  let position;
+  if (req.body.position !== undefined && req.body.position !== '') {
+    position = Number(req.body.position);
+    if (!Number.isInteger(position) || position < 0)
+      return res.status(400).json({ error: 'position must be a non-negative integer' });
+  }
+
+  let metadata;
+  let thumbnail;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+    thumbnail = await sharp(file.buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch (error) {
+    return res.status(400).json({ error: 'File is not a valid image' });
+  }
+  if (metadata.format !== imageType.format)
+    return res.status(400).json({ error: `File content is ${metadata.format}, not ${file.mimetype}` });
+
+  const { id } = req.params;
+  const name = crypto.randomUUID();
+  const storageKey = `items/${id}/${name}.${imageType.extension}`;
+  const thumbnailKey = `items/${id}/${name}-thumb.webp`;
+  try {
+    const before = await fetchSnapshot(`/items/${id}`);
+    if (!before) return res.status(404).json({ error: 'Item not found' });
+
+    await storage.put(storageKey, file.buffer, file.mimetype);
+    await storage.put(thumbnailKey, thumbnail, 'image/webp');
+    let response;
+    try {
+      response = await axios.post(`${ADAPTER_API_URL}/items/${id}/images`, {
+        contentType: file.mimetype,
+        size: file.size,
+        width: metadata.width,
+        height: metadata.height,
+        originalName: file.originalname,
+        storageKey,
+        thumbnailKey,
+        position,
+      });
+    } catch (error) {
+      await Promise.all([storage.remove(storageKey), storage.remove(thumbnailKey)]);
+      throw error;
+    }
+
+    await recordAudit(req, 'post', 'items', id, before, await fetchSnapshot(`/items/${id}`));
+    res.status(201).json(response.data);
+  } catch (error) {
+    handleAxiosError(res, error, 'Item not found', 'Error uploading image');
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/images/order:
+ *   put:
+ *     summary: Reorder an item's images.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Every image id of the item, in the new display order.
+ *     responses:
+ *       200:
+ *         description: The images in their new order.
+ *       400:
+ *         description: imageIds is not an ordering of the item's images.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Error reordering images.
+ */
+app.put('/items/:id/images/order', requirePermission('items:write'), (req, res) =>
+  forwardRequest('put', `/items/${req.params.id}/images/order`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error reordering images',
+  })
+);
+
+/**
+ * @swagger
+ * /items/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete an item image.
+ *     description: Removes the image and its thumbnail from media storage.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Image deleted.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Image not found.
+ *       500:
+ *         description: Error deleting image.
+ */
+app.delete('/items/:id/images/:imageId', requirePermission('items:write'), async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+    const before = await fetchSnapshot(`/items/${id}`);
+    const response = await axios.delete(`${ADAPTER_API_URL}/items/${id}/images/${imageId}`);
+    const { storageKey, thumbnailKey } = response.data;
+    await Promise.all([storage.remove(storageKey), storage.remove(thumbnailKey)]);
+
+    await recordAudit(req, 'delete', 'items', id, before, await fetchSnapshot(`/items/${id}`));
+    res.json({ message: 'Image deleted', image: response.data });
+  } catch (error) {
+    handleAxiosError(res, error, 'Image not found', 'Error deleting image');
+  }
+});
+
+/**
+ * @swagger
+ * /items/{id}/categories:
+ *   put:
+ *     summary: Replace the categories an item belongs to.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The item's new categories.
+ *       400:
+ *         description: Invalid category list or unknown category ids.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Item not found.
+ *       500:
+ *         description: Error updating item categories.
+ */
+app.put('/items/:id/categories', requirePermission('items:write'), (req, res) =>
+  forwardRequest('put', `/items/${req.params.id}/categories`, req, res, {
+    notFoundMsg: 'Item not found',
+    fallbackMsg: 'Error updating item categories',
+  })
+);
+
+/* ----------------------------
+ * CATEGORY MANAGEMENT ENDPOINTS
+ * ----------------------------
+ */
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Retrieve all categories.
+ *     description: A flat list; parentId links each category to its parent (null for top-level categories).
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     responses:
+ *       200:
+ *         description: A list of categories.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       500:
+ *         description: Error fetching categories.
+ */
+app.get('/categories', requirePermission('items:read'), (req, res) =>
+  forwardRequest('get', '/categories', req, res, { fallbackMsg: 'Error fetching categories' })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     summary: Retrieve a category by ID.
+ *     description: Includes the path of ancestors from the top level down and the direct subcategories.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A category.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:read permission.
+ *       404:
+ *         description: Category not found.
+ *       500:
+ *         description: Error fetching category.
+ */
+app.get('/categories/:id', requirePermission('items:read'), (req, res) =>
+  forwardRequest('get', `/categories/${req.params.id}`, req, res, {
+    notFoundMsg: 'Category not found',
+    fallbackMsg: 'Error fetching category',
+  })
+);
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     summary: Create a category.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: The parent category, or null for a top-level category.
+ *     responses:
+ *       201:
+ *         description: Category created.
+ *       400:
+ *         description: Invalid fields or parent category not found.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       409:
+ *         description: A category with this name already exists under the same parent.
+ *       500:
+ *         description: Error creating category.
+ */
+app.post('/categories', requirePermission('items:write'), (req, res) =>
+  forwardRequest('post', '/categories', req, res, { fallbackMsg: 'Error creating category', successStatus: 201 })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   put:
+ *     summary: Rename or move a category.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Category updated.
+ *       400:
+ *         description: Invalid fields, parent category not found, or the move would create a cycle.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Category not found.
+ *       409:
+ *         description: A category with this name already exists under the same parent.
+ *       500:
+ *         description: Error updating category.
+ */
+app.put('/categories/:id', requirePermission('items:write'), (req, res) =>
+  forwardRequest('put', `/categories/${req.params.id}`, req, res, {
+    notFoundMsg: 'Category not found',
+    fallbackMsg: 'Error updating category',
+  })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     summary: Delete a category.
+ *     description: Items in the category are unlinked, not deleted. Subcategories must be moved or deleted first.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category deleted.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Category not found.
+ *       409:
+ *         description: The category has subcategories.
+ *       500:
+ *         description: Error deleting category.
+ */
+app.delete('/categories/:id', requirePermission('items:write'), (req, res) =>
+  forwardRequest('delete', `/categories/${req.params.id}`, req, res, {
+    notFoundMsg: 'Category not found',
+    fallbackMsg: 'Error deleting category',
+  })
+);
+
+/* ----------------------------
+ * REVIEW MODERATION ENDPOINTS
+ * ----------------------------
+ */
+
+/**
+ * @swagger
+ * /reviews:
+ *   get:
+ *     summary: Retrieve customer reviews for moderation.
+ *     description: |
+ *       Newest first, including hidden reviews, the reviewer's username and who last moderated each review.
+ *       Reviews with status published have not been moderated yet.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [published, approved, hidden]
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of reviews per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A paginated list of reviews.
+ *       400:
+ *         description: Invalid filter value, or page or limit is not a positive integer.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the reviews:moderate permission.
+ *       500:
+ *         description: Error fetching reviews.
+ */
+app.get('/reviews', requirePermission('reviews:moderate'), (req, res) =>
+  forwardRequest('get', '/reviews', req, res, { fallbackMsg: 'Error fetching reviews' })
+);
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   get:
+ *     summary: Retrieve a review with its moderation details.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The review.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the reviews:moderate permission.
+ *       404:
+ *         description: Review not found.
+ *       500:
+ *         description: Error fetching review.
+ */
+app.get('/reviews/:id', requirePermission('reviews:moderate'), (req, res) =>
+  forwardRequest('get', `/reviews/${req.params.id}`, req, res, {
+    notFoundMsg: 'Review not found',
+    fallbackMsg: 'Error fetching review',
+  })
+);
+
+/**
+ * @swagger
+ * /reviews/{id}/approve:
+ *   post:
+ *     summary: Approve a review.
+ *     description: Marks the review as checked. Approving a hidden review shows it to customers again.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The approved review.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the reviews:moderate permission.
+ *       404:
+ *         description: Review not found.
+ *       500:
+ *         description: Error approving review.
+ */
+app.post('/reviews/:id/approve', requirePermission('reviews:moderate'), (req, res) =>
+  forwardRequest('post', `/reviews/${req.params.id}/approve`, req, res, {
+    notFoundMsg: 'Review not found',
+    fallbackMsg: 'Error approving review',
+  })
+);
+
+/**
+ * @swagger
+ * /reviews/{id}/hide:
+ *   post:
+ *     summary: Hide a review.
+ *     description: Hidden reviews are not shown to customers and do not count towards the item's rating.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The hidden review.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the reviews:moderate permission.
+ *       404:
+ *         description: Review not found.
+ *       500:
+ *         description: Error hiding review.
+ */
+app.post('/reviews/:id/hide', requirePermission('reviews:moderate'), (req, res) =>
+  forwardRequest('post', `/reviews/${req.params.id}/hide`, req, res, {
+    notFoundMsg: 'Review not found',
+    fallbackMsg: 'Error hiding review',
+  })
+);
+
+/* ----------------------------
+ * BACKGROUND JOBS ENDPOINTS
+ * ----------------------------
+ */
+
+/**
+ * @swagger
+ * /jobs:
+ *   post:
+ *     summary: Submit a background job.
+ *     description: |
+ *       Runs a long bulk operation in the background instead of holding the request open. Poll GET /jobs/{id}
+ *       for progress. Jobs are stored in the database and continue after a restart of the Adapter API.
+ *       Types and their params:
+ *       - items.create: { items: [...] }, the body of POST /items/batch (bulk import)
+ *       - items.update: { updates: [...] }, the body of PATCH /items/batch (e.g. bulk price changes)
+ *       - items.delete: { ids: [...] }
+ *       - items.export: { format: "csv" | "ndjson" }; download the file from GET /jobs/{id}/output
+ *       Entries are applied as with mode=partial: failed entries are listed in the job's error report.
+ *       As in PATCH /items/batch, items.update entries need a version when the Adapter API enforces If-Match (428
+ *       otherwise). Every item a job changes gets its own audit record, made by the submitting user with route /jobs/{id}.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - params
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [items.create, items.update, items.delete, items.export]
+ *               params:
+ *                 type: object
+ *           example:
+ *             type: items.update
+ *             params:
+ *               updates:
+ *                 - id: 1
+ *                   price: 9.99
+ *                 - id: 2
+ *                   price: 14.5
+ *     responses:
+ *       202:
+ *         description: Job queued.
+ *       400:
+ *         description: Unknown job type or invalid params.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       500:
+ *         description: Error submitting job.
+ */
+app.post('/jobs', requirePermission('items:write'), (req, res) =>
+  forwardRequest('post', '/jobs', req, res, { fallbackMsg: 'Error submitting job' })
+);
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get a job's status, progress and error report.
+ *     description: |
+ *       status is queued, running, completed, failed or cancelled. processed counts the entries done so far out of
+ *       total, split into succeeded and failed; errors lists up to 1000 failed entries as { index, status, id, error }.
+ *       error holds the reason when the job failed as a whole.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The job.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Job not found.
+ *       500:
+ *         description: Error fetching job.
+ */
+app.get('/jobs/:id', requirePermission('items:write'), (req, res) =>
+  forwardRequest('get', `/jobs/${req.params.id}`, req, res, {
+    notFoundMsg: 'Job not found',
+    fallbackMsg: 'Error fetching job',
+  })
+);
+
+/**
+ * @swagger
+ * /jobs/{id}/output:
+ *   get:
+ *     summary: Download the file produced by a job (e.g. an items.export job).
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Job not found.
+ *       409:
+ *         description: The job has no output (yet).
+ *       500:
+ *         description: Error fetching job output.
+ */
+app.get('/jobs/:id/output', requirePermission('items:write'), (req, res) =>
+  streamDownload(`/jobs/${req.params.id}/output`, req, res, {
+    notFoundMsg: 'Job not found',
+    fallbackMsg: 'Error fetching job output',
+  })
+);
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   delete:
+ *     summary: Cancel a job.
+ *     description: |
+ *       A queued job is cancelled at once. A running job stops after the chunk it is working on;
+ *       entries that were already applied stay applied.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The job, cancelled or with cancelRequested set.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the items:write permission.
+ *       404:
+ *         description: Job not found.
+ *       409:
+ *         description: The job has already finished.
+ *       500:
+ *         description: Error cancelling job.
+ */
+app.delete('/jobs/:id', requirePermission('items:write'), (req, res) =>
+  forwardRequest('delete', `/jobs/${req.params.id}`, req, res, {
+    notFoundMsg: 'Job not found',
+    fallbackMsg: 'Error cancelling job',
+  })
+);
+
+/* ----------------------------
+ * AUDIT LOG ENDPOINTS
+ * ----------------------------
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Retrieve audit records.
+ *     description: |
+ *       Returns a paginated list of audit records for every create, update and delete made through this API,
+ *       newest first. Each record holds the acting user, time, route, target id and a before/after diff.
+ *     security:
+ *       - bearerAuth: []
+ *       - XUser: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Only changes made by this username.
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [items, users, categories, jobs, reviews]
+ *         description: Only changes to this kind of record.
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: integer
+ *         description: Only changes to the record with this ID.
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [POST, PUT, PATCH, DELETE]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made at or after this time.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made before this time.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: The number of records per page (max 100).
+ *     responses:
+ *       200:
+ *         description: A paginated list of audit records.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 records:
+ *                   type: array
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filter value, or page or limit is not a positive integer.
+ *       401:
+ *         description: Missing, invalid or expired token.
+ *       403:
+ *         description: Forbidden. Requires the audit:read permission.
+ *       500:
+ *         description: Error fetching audit records.
+ */
+app.get('/audit', requirePermission('audit:read'), (req, res) =>
+  forwardRequest('get', '/audit', req, res, { fallbackMsg: 'Error fetching audit records' })
+);
 
 // Middleware to handle unsupported methods
 app.use((req, res, next) => {
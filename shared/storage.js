@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage keeps media files (item images and thumbnails) by key, e.g. "items/42/3f2a....webp".
+ * Every storage exposes:
+ *   put(key, buffer, contentType) - stores a file, replacing any file with the same key (async).
+ *   stat(key) - resolves to { size } or null when the file does not exist.
+ *   createReadStream(key) - a readable stream of the file contents.
+ *   remove(key) - deletes a file; missing files are ignored (async).
+ * The local storage writes to a directory (in Docker, a volume shared by management-api and backend-api).
+ * Other backends (e.g. an S3-compatible bucket) can be added to createStorage.
+ * Used by both management-api and backend-api; their Dockerfiles copy this directory next to the service.
+ */
+
+/**
+ * Stores files under a root directory, one file per key.
+ */
+const createLocalStorage = (root) => {
+  const rootDir = path.resolve(root);
+
+  // Keys come from URLs, so never let one point outside the root directory.
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep))
+      throw Object.assign(new Error(`Invalid storage key: ${key}`), { code: 'INVALID_STORAGE_KEY' });
+    return filePath;
+  };
+
+  return {
+    type: 'local',
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    stat: async (key) => {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return stats.isFile() ? { size: stats.size } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+/**
+ * Creates the storage selected by the STORAGE_DRIVER environment variable ("local" by default).
+ */
+const createStorage = (type = process.env.STORAGE_DRIVER || 'local') => {
+  switch (type) {
+    case 'local':
+      return createLocalStorage(process.env.MEDIA_ROOT || path.join(__dirname, 'media'));
+    default:
+      throw new Error(`Unknown storage driver: ${type}`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  createLocalStorage,
+};